@@ -1,11 +1,38 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import axios from "axios";
 import "./index.css";
-import { Radio, Search, Calendar, X, Play, Sun, Moon, List, Download } from "lucide-react";
+import {
+	Radio,
+	Search,
+	Calendar,
+	X,
+	Play,
+	Sun,
+	Moon,
+	List,
+	Download,
+	ArrowLeft,
+	BookOpen,
+	ChevronUp,
+	ChevronDown,
+	Headphones,
+	Crosshair,
+	Pencil,
+	Bookmark,
+	User,
+	LogOut,
+	Link2,
+	Trash2,
+} from "lucide-react";
 import { format, parseISO } from "date-fns";
 
 const API_URL = "/api/search";
 const DROPS_API_URL = "/api/drops";
+const SUGGEST_API_URL = "/api/suggest";
+const TRENDS_API_URL = "/api/trends";
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
 
 // Helper: Format nice date
 const formatTitle = (item) => {
@@ -34,38 +61,6 @@ const formatTitle = (item) => {
 	}
 };
 
-const YEARS = [
-	"1977",
-	"1982",
-	"1983",
-	"1984",
-	"1985",
-	"1986",
-	"1987",
-	"1988",
-	"1989",
-	"1990",
-	"1991",
-	"1992",
-	"1993",
-	"1994",
-	"1995",
-	"1996",
-	"1997",
-	"1998",
-	"1999",
-	"2000",
-	"2001",
-	"2002",
-	"2003",
-	"2004",
-	"2005",
-	"2006",
-	"2007",
-	"2008",
-	"2009",
-];
-
 const YouTubeIcon = ({ size = 16, style = {} }) => (
 	<svg
 		width={size}
@@ -79,25 +74,1377 @@ const YouTubeIcon = ({ size = 16, style = {} }) => (
 	</svg>
 );
 
+const TREND_INTERVALS = ["year", "month", "week"];
+
+// What the in-page player can play for a show link: a YouTube video or an audio file
+const mediaSource = (url) => {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return null;
+	}
+	const host = parsed.hostname.replace(/^(www|m)\./, "");
+	const firstPart = parsed.pathname.split("/")[1];
+	if (host === "youtu.be" && firstPart) return { kind: "youtube", videoId: firstPart };
+	if (host === "youtube.com") {
+		const embedded = parsed.pathname.match(/^\/(?:embed|live|shorts)\/([^/]+)/);
+		const videoId = parsed.searchParams.get("v") || (embedded && embedded[1]);
+		return videoId ? { kind: "youtube", videoId } : null;
+	}
+	if (host === "clyp.it" && firstPart) {
+		return { kind: "audio", src: `https://audio.clyp.it/${firstPart}.mp3` };
+	}
+	if (/\.mp3$/i.test(parsed.pathname)) return { kind: "audio", src: url };
+	return null;
+};
+
+// The IFrame API script is loaded once, the first time a YouTube player is opened
+let youTubeApi = null;
+const loadYouTubeApi = () => {
+	if (!youTubeApi) {
+		youTubeApi = new Promise((resolve, reject) => {
+			if (window.YT && window.YT.Player) return resolve(window.YT);
+			window.onYouTubeIframeAPIReady = () => resolve(window.YT);
+			const script = document.createElement("script");
+			script.src = "https://www.youtube.com/iframe_api";
+			script.onerror = () => {
+				youTubeApi = null;
+				reject(new Error("Could not load the YouTube player"));
+			};
+			document.head.appendChild(script);
+		});
+	}
+	return youTubeApi;
+};
+
+// Plays a show's recording in the page and reports the position (in seconds) to onTime.
+// Each new `seek` ({ seconds, until }) jumps there and starts playing, once the player is
+// ready, and pauses when playback reaches `until` if given.
+const SyncedPlayer = ({ url, seek, onTime }) => {
+	const source = useMemo(() => mediaSource(url), [url]);
+	const mountRef = useRef(null);
+	const audioRef = useRef(null);
+	const youTubeRef = useRef(null); // YT.Player, once ready
+	const pendingSeek = useRef(null);
+	const stopAt = useRef(null);
+	const onTimeRef = useRef(onTime);
+	const [failed, setFailed] = useState(false);
+
+	useEffect(() => {
+		onTimeRef.current = onTime;
+	});
+
+	useEffect(() => {
+		if (!source || source.kind !== "youtube") return;
+		const mount = mountRef.current;
+		let player = null;
+		let timer = null;
+		let cancelled = false;
+
+		loadYouTubeApi()
+			.then((YT) => {
+				if (cancelled) return;
+				// The API replaces the element it is given, so it gets one React doesn't own
+				const el = document.createElement("div");
+				mount.appendChild(el);
+				player = new YT.Player(el, {
+					videoId: source.videoId,
+					width: "100%",
+					height: "100%",
+					playerVars: { playsinline: 1, rel: 0 },
+					events: {
+						onReady: () => {
+							youTubeRef.current = player;
+							if (pendingSeek.current !== null) {
+								player.seekTo(pendingSeek.current, true);
+								player.playVideo();
+								pendingSeek.current = null;
+							}
+						},
+					},
+				});
+				// The IFrame API has no timeupdate event, so poll while playing
+				timer = setInterval(() => {
+					if (youTubeRef.current && player.getPlayerState() === YT.PlayerState.PLAYING) {
+						const seconds = player.getCurrentTime();
+						if (stopAt.current !== null && seconds >= stopAt.current) {
+							stopAt.current = null;
+							player.pauseVideo();
+						}
+						onTimeRef.current(seconds);
+					}
+				}, 250);
+			})
+			.catch((err) => {
+				console.error(err);
+				if (!cancelled) setFailed(true);
+			});
+
+		return () => {
+			cancelled = true;
+			clearInterval(timer);
+			youTubeRef.current = null;
+			if (player) player.destroy();
+			mount.innerHTML = "";
+		};
+	}, [source]);
+
+	useEffect(() => {
+		if (!seek) return;
+		stopAt.current = seek.until ?? null;
+		if (audioRef.current) {
+			audioRef.current.currentTime = seek.seconds;
+			audioRef.current.play().catch(() => {});
+		} else if (youTubeRef.current) {
+			youTubeRef.current.seekTo(seek.seconds, true);
+			youTubeRef.current.playVideo();
+		} else {
+			pendingSeek.current = seek.seconds;
+		}
+	}, [seek]);
+
+	if (!source) return null;
+	return (
+		<>
+			{source.kind === "youtube" ? (
+				<div ref={mountRef} className="player-video" />
+			) : (
+				<audio
+					ref={audioRef}
+					src={source.src}
+					controls
+					className="player-audio"
+					onTimeUpdate={(e) => {
+						const seconds = e.currentTarget.currentTime;
+						if (stopAt.current !== null && seconds >= stopAt.current) {
+							stopAt.current = null;
+							e.currentTarget.pause();
+						}
+						onTime(seconds);
+					}}
+					onError={() => setFailed(true)}
+				/>
+			)}
+			{failed && (
+				<div className="player-error">
+					COULDN'T LOAD THE PLAYER.{" "}
+					<a href={url} target="_blank" rel="noopener noreferrer">
+						OPEN THE RECORDING
+					</a>
+				</div>
+			)}
+		</>
+	);
+};
+
+// Client-side routes: "/" or "/search" is search, "/shows" the full list,
+// "/show/YYYY-MM-DD?line=&q=&type=" the transcript reader, "/clip/YYYY-MM-DD?start=&end=&type="
+// an excerpt of one show, "/clips" the user's saved clips and "/collections/:id" a collection's
+// share page
+const parseRoute = () => {
+	const { pathname } = window.location;
+	if (/^\/clips\/?$/.test(pathname)) return { page: "clips" };
+	const clip = pathname.match(/^\/clip\/(\d{4}-\d{2}-\d{2})\/?$/);
+	if (clip) {
+		const params = new URLSearchParams(window.location.search);
+		const start = Number(params.get("start"));
+		return {
+			page: "clip",
+			date: clip[1],
+			type: params.get("type") || "show",
+			start,
+			end: params.has("end") ? Number(params.get("end")) : start,
+		};
+	}
+	const collection = pathname.match(/^\/collections\/([\w-]+)\/?$/);
+	if (collection) return { page: "collection", id: collection[1] };
+	const match = pathname.match(/^\/show\/(\d{4}-\d{2}-\d{2})\/?$/);
+	if (!match) return { page: "search" };
+	const params = new URLSearchParams(window.location.search);
+	return {
+		page: "reader",
+		date: match[1],
+		type: params.get("type") || "show",
+		line: params.has("line") ? Number(params.get("line")) : null,
+		query: params.get("q") || "",
+	};
+};
+
+// The search page's state is kept in the URL so searches can be shared and Back works:
+//   /search?q=&years=1999&from=&to=&months=&weekdays=1,5&type=best_of&view=shows&ranking=blend&trend=year&normalize=true
+//   /shows?years=1999&type=best_of
+const readUrlState = () => {
+	const params = new URLSearchParams(window.location.search);
+	const list = (key) => (params.get(key) || "").split(",").filter(Boolean);
+	const type = params.get("type");
+	const trend = params.get("trend");
+	return {
+		activeTab: /^\/shows\/?$/.test(window.location.pathname) ? "shows" : "search",
+		query: params.get("q") || "",
+		selectedYears: list("years").filter((y) => /^\d{4}$/.test(y)),
+		dateFrom: params.get("from") || "",
+		dateTo: params.get("to") || "",
+		selectedMonth: params.get("months") || "",
+		selectedWeekdays: list("weekdays")
+			.map(Number)
+			.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6),
+		showBestOf: type === "best_of",
+		showDrops: type === "drops",
+		showNotes: type === "notes",
+		groupByShow: params.get("view") === "shows",
+		blendFuzzy: params.get("ranking") === "blend",
+		showTrends: TREND_INTERVALS.includes(trend),
+		trendInterval: TREND_INTERVALS.includes(trend) ? trend : "year",
+		trendNormalize: params.get("normalize") === "true",
+	};
+};
+
+// Inverse of readUrlState. Defaults are left out to keep links short.
+const buildUrl = (state) => {
+	const params = new URLSearchParams();
+	const shows = state.activeTab === "shows";
+	if (!shows && state.query) params.set("q", state.query);
+	if (!state.showBestOf && !state.showDrops) {
+		if (state.selectedYears.length > 0) params.set("years", state.selectedYears.join(","));
+		if (state.dateFrom) params.set("from", state.dateFrom);
+		if (state.dateTo) params.set("to", state.dateTo);
+		if (state.selectedMonth) params.set("months", state.selectedMonth);
+		if (state.selectedWeekdays.length > 0) params.set("weekdays", state.selectedWeekdays.join(","));
+	}
+	if (state.showBestOf) params.set("type", "best_of");
+	else if (state.showDrops) params.set("type", "drops");
+	else if (state.showNotes && !shows) params.set("type", "notes");
+	if (!shows) {
+		if (state.groupByShow) params.set("view", "shows");
+		if (state.blendFuzzy) params.set("ranking", "blend");
+		if (state.showTrends) params.set("trend", state.trendInterval);
+		if (state.showTrends && state.trendNormalize) params.set("normalize", "true");
+	}
+
+	const search = params.toString();
+	if (shows) return `/shows${search ? `?${search}` : ""}`;
+	return search ? `/search?${search}` : "/";
+};
+
+// Reader URL for a search hit (or a whole show when line is null)
+const readerUrl = (item, line, query) => {
+	const params = new URLSearchParams();
+	if (line !== null && line !== undefined) params.set("line", line);
+	if (query) params.set("q", query);
+	if (item.type === "best_of") params.set("type", "best_of");
+	const search = params.toString();
+	return `/show/${item.date}${search ? `?${search}` : ""}`;
+};
+
+// Page of the segments from line `start` to line `end` of a show
+const clipUrl = (item, start, end) => {
+	const params = new URLSearchParams({ start });
+	if (end !== start) params.set("end", end);
+	if (item.type === "best_of") params.set("type", "best_of");
+	return `/clip/${item.date}?${params}`;
+};
+
+// Formats offered by the export menus, as [format, label]
+const SEARCH_EXPORTS = [
+	["csv", "CSV"],
+	["json", "JSON"],
+	["md", "MARKDOWN"],
+];
+const TRANSCRIPT_EXPORTS = [
+	["vtt", "WEBVTT"],
+	["srt", "SRT"],
+	["txt", "TEXT"],
+];
+
+// Dropdown of download links to an /api/export endpoint, one per format
+const ExportMenu = ({ href, formats, title }) => (
+	<details className="export-menu">
+		<summary title={title}>
+			<Download size={12} /> EXPORT
+		</summary>
+		<div className="export-menu-list">
+			{formats.map(([format, label]) => (
+				<a key={format} href={`${href}${href.includes("?") ? "&" : "?"}format=${format}`} download>
+					{label}
+				</a>
+			))}
+		</div>
+	</details>
+);
+
+// The message of a failed API call
+const apiError = (err, fallback) => {
+	const body = err.response && err.response.data;
+	return (body && (body.message || body.error)) || fallback;
+};
+
+// Log in or register from the header, or the logged-in user's links
+const AccountMenu = ({ user, onUser, onClips }) => {
+	const [open, setOpen] = useState(false);
+	const [username, setUsername] = useState("");
+	const [password, setPassword] = useState("");
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState(null);
+
+	const send = async (action) => {
+		setBusy(true);
+		setError(null);
+		try {
+			const res = await axios.post(`/api/auth/${action}`, { username, password });
+			setPassword("");
+			setOpen(false);
+			onUser(res.data.user);
+		} catch (err) {
+			setError(apiError(err, action === "login" ? "Could not log in" : "Could not register"));
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const logout = async () => {
+		await axios.post("/api/auth/logout");
+		onUser(null);
+	};
+
+	if (user) {
+		return (
+			<div className="account-menu">
+				<a href="/clips" onClick={onClips} className="account-link" title="Your saved clips">
+					<Bookmark size={12} /> MY CLIPS
+				</a>
+				<span className="account-name">
+					<User size={12} /> {user.username}
+				</span>
+				<button className="account-link" onClick={logout} title="Log out">
+					<LogOut size={12} />
+				</button>
+			</div>
+		);
+	}
+
+	return (
+		<div className="account-menu">
+			<button className="account-link" onClick={() => setOpen(!open)} title="Log in to save clips">
+				<User size={12} /> LOG IN
+			</button>
+			{open && (
+				<form
+					className="account-form"
+					onSubmit={(e) => {
+						e.preventDefault();
+						send("login");
+					}}
+				>
+					<input
+						value={username}
+						onChange={(e) => setUsername(e.target.value)}
+						placeholder="Username"
+						autoComplete="username"
+						autoFocus
+					/>
+					<input
+						type="password"
+						value={password}
+						onChange={(e) => setPassword(e.target.value)}
+						placeholder="Password"
+						autoComplete="current-password"
+					/>
+					{error && <div className="correction-error">{error}</div>}
+					<div className="correction-actions">
+						<button type="submit" className="view-toggle-button active" disabled={busy}>
+							LOG IN
+						</button>
+						<button
+							type="button"
+							className="view-toggle-button"
+							disabled={busy}
+							onClick={() => send("register")}
+						>
+							REGISTER
+						</button>
+					</div>
+				</form>
+			)}
+		</div>
+	);
+};
+
+// Best Of hits carry their timestamp at the start of the text
+const segmentText = (item) =>
+	(item.text_content || "").trim().replace(/^\d{1,2}:\d{2}(?::\d{2})?\s+/, "");
+
+// Propose new text for one segment. It goes into a moderation queue, and shows up everywhere
+// once an admin approves it.
+const CorrectionForm = ({ date, type, line, text, onClose }) => {
+	const [draft, setDraft] = useState(text);
+	const [note, setNote] = useState("");
+	const [status, setStatus] = useState("editing"); // editing, sending or sent
+	const [error, setError] = useState(null);
+
+	const submit = async (e) => {
+		e.preventDefault();
+		setStatus("sending");
+		setError(null);
+		try {
+			await axios.post("/api/corrections", {
+				date,
+				type,
+				line,
+				text: draft,
+				note: note || undefined,
+			});
+			setStatus("sent");
+		} catch (err) {
+			const body = err.response && err.response.data;
+			setError((body && (body.message || body.error)) || "Could not send the correction");
+			setStatus("editing");
+		}
+	};
+
+	if (status === "sent") {
+		return (
+			<div className="correction-form">
+				<div className="correction-sent">THANKS! YOUR FIX IS QUEUED FOR REVIEW.</div>
+				<div className="correction-actions">
+					<button type="button" className="view-toggle-button" onClick={onClose}>
+						CLOSE
+					</button>
+				</div>
+			</div>
+		);
+	}
+
+	return (
+		<form className="correction-form" onSubmit={submit}>
+			<label>
+				SUGGEST A FIX FOR THIS SEGMENT
+				<textarea
+					value={draft}
+					onChange={(e) => setDraft(e.target.value)}
+					rows={3}
+					maxLength={2000}
+					autoFocus
+				/>
+			</label>
+			<input
+				value={note}
+				onChange={(e) => setNote(e.target.value)}
+				placeholder="What was misheard? (optional)"
+				maxLength={500}
+			/>
+			{error && <div className="correction-error">{error}</div>}
+			<div className="correction-actions">
+				<button
+					type="submit"
+					className="view-toggle-button active"
+					disabled={status === "sending" || draft.trim() === text.trim()}
+				>
+					{status === "sending" ? "SENDING..." : "SUBMIT"}
+				</button>
+				<button type="button" className="view-toggle-button" onClick={onClose}>
+					CANCEL
+				</button>
+			</div>
+		</form>
+	);
+};
+
+// A run of reader segments picked as a clip: share its page, or save it with a note when
+// logged in
+const ClipBar = ({ show, range, segments, canSave, onOpen, onClose }) => {
+	const [note, setNote] = useState("");
+	const [status, setStatus] = useState("editing"); // editing, saving or saved
+	const [error, setError] = useState(null);
+
+	const inRange = segments.filter((s) => s.line >= range.start && s.line <= range.end);
+	const from = inRange[0] && inRange[0].start;
+	const to = inRange[inRange.length - 1] && inRange[inRange.length - 1].start;
+
+	const save = async (e) => {
+		e.preventDefault();
+		setStatus("saving");
+		setError(null);
+		try {
+			await axios.post("/api/clips", {
+				date: show.date,
+				type: show.type,
+				start_line: range.start,
+				end_line: range.end,
+				note: note || undefined,
+			});
+			setStatus("saved");
+		} catch (err) {
+			setError(apiError(err, "Could not save the clip"));
+			setStatus("editing");
+		}
+	};
+
+	return (
+		<form className="reader-clipbar" onSubmit={save}>
+			<span>
+				CLIP {from ? from.split(".")[0] : ""}
+				{to && to !== from ? ` - ${to.split(".")[0]}` : ""} · {inRange.length} SEGMENT
+				{inRange.length === 1 ? "" : "S"}
+			</span>
+			{status === "saved" ? (
+				<span className="correction-sent">SAVED TO MY CLIPS</span>
+			) : (
+				canSave && (
+					<>
+						<input
+							value={note}
+							onChange={(e) => setNote(e.target.value)}
+							placeholder="Note (optional)"
+							maxLength={500}
+						/>
+						<button
+							type="submit"
+							className="view-toggle-button active"
+							disabled={status === "saving"}
+						>
+							{status === "saving" ? "SAVING..." : "SAVE"}
+						</button>
+					</>
+				)
+			)}
+			<a
+				href={clipUrl(show, range.start, range.end)}
+				onClick={onOpen}
+				className="view-toggle-button"
+				title="Page for just this clip, to share"
+			>
+				<Link2 size={12} /> SHARE
+			</a>
+			<button type="button" className="view-toggle-button" onClick={onClose}>
+				{status === "saved" ? "DONE" : "CANCEL"}
+			</button>
+			{error && <span className="correction-error">{error}</span>}
+		</form>
+	);
+};
+
+// Full transcript of one show. Hits of `query` are marked, stepped through with the hit bar
+// (or n / p) and shown on a minimap down the right edge. Keyed by route, so it starts fresh
+// for every show it opens.
+const TranscriptReader = ({ date, type, line, query, highlight, canSave, onOpen, onBack }) => {
+	const [data, setData] = useState(null);
+	const [error, setError] = useState(null);
+	const [currentHit, setCurrentHit] = useState(-1); // Index into data.hits, -1 for none
+	const [target, setTarget] = useState(null); // Line to scroll to
+	const [playerOpen, setPlayerOpen] = useState(false);
+	const [seek, setSeek] = useState(null);
+	const [playingLine, setPlayingLine] = useState(null); // Segment under the playback position
+	const [follow, setFollow] = useState(true); // Keep the playing segment in view
+	const [fixing, setFixing] = useState(null); // Line of the segment being corrected
+	const [clipRange, setClipRange] = useState(null); // { start, end } segment lines to save
+
+	useEffect(() => {
+		const controller = new AbortController();
+		axios
+			.get(`/api/shows/${date}`, {
+				params: { type, q: query || undefined },
+				signal: controller.signal,
+			})
+			.then((res) => {
+				const { hits } = res.data;
+				setData(res.data);
+				// Open on the hit that was clicked, or the first one
+				const start = line !== null ? hits.indexOf(line) : hits.length > 0 ? 0 : -1;
+				setCurrentHit(start);
+				setTarget(start >= 0 ? hits[start] : line);
+			})
+			.catch((err) => {
+				if (axios.isCancel(err)) return;
+				setError(err.response?.data?.message || err.response?.data?.error || err.message);
+			});
+		return () => controller.abort();
+	}, [date, type, line, query]);
+
+	// The segment holding the target line
+	const targetSegment = useMemo(() => {
+		if (!data || target === null) return null;
+		let found = null;
+		for (const segment of data.segments) {
+			if (segment.line > target) break;
+			found = segment.line;
+		}
+		return found;
+	}, [data, target]);
+
+	useEffect(() => {
+		if (targetSegment === null) return;
+		const el = document.getElementById(`segment-${targetSegment}`);
+		if (el) el.scrollIntoView({ block: "center", behavior: "smooth" });
+	}, [targetSegment]);
+
+	const hits = useMemo(() => (data ? data.hits : []), [data]);
+	const hitSet = useMemo(() => new Set(hits), [hits]);
+
+	const goToHit = (index) => {
+		const wrapped = (index + hits.length) % hits.length;
+		setCurrentHit(wrapped);
+		setTarget(hits[wrapped]);
+	};
+
+	// Steps from the current hit, or from the opened line when that wasn't a hit
+	const stepHit = (direction) => {
+		if (hits.length === 0) return;
+		if (currentHit >= 0) return goToHit(currentHit + direction);
+		const from = target === null ? -1 : target;
+		const index =
+			direction > 0 ? hits.findIndex((h) => h > from) : hits.findLastIndex((h) => h < from);
+		goToHit(index >= 0 ? index : direction > 0 ? 0 : hits.length - 1);
+	};
+
+	// Segment start times in the recording (offset-corrected by the server), for mapping the
+	// playback position back to a segment. Sorted, since a cut can make them run backwards.
+	const timeline = useMemo(
+		() =>
+			data
+				? data.segments
+						.filter((s) => s.video_start !== null)
+						.map((s) => ({ line: s.line, start: s.video_start }))
+						.sort((a, b) => a.start - b.start)
+				: [],
+		[data]
+	);
+
+	const handleTime = (seconds) => {
+		// Last segment starting at or before the position
+		let lo = 0;
+		let hi = timeline.length - 1;
+		let found = null;
+		while (lo <= hi) {
+			const mid = (lo + hi) >> 1;
+			if (timeline[mid].start <= seconds) {
+				found = timeline[mid].line;
+				lo = mid + 1;
+			} else {
+				hi = mid - 1;
+			}
+		}
+		setPlayingLine(found);
+	};
+
+	useEffect(() => {
+		if (!follow || playingLine === null) return;
+		const el = document.getElementById(`segment-${playingLine}`);
+		if (el) el.scrollIntoView({ block: "center", behavior: "smooth" });
+	}, [follow, playingLine]);
+
+	const playFrom = (seconds) => {
+		setPlayerOpen(true);
+		setSeek({ seconds });
+	};
+
+	// The first segment picked starts a clip; later ones stretch it to cover them
+	const extendClip = (segmentLine) =>
+		setClipRange((range) =>
+			range
+				? { start: Math.min(range.start, segmentLine), end: Math.max(range.end, segmentLine) }
+				: { start: segmentLine, end: segmentLine }
+		);
+
+	const closePlayer = () => {
+		setPlayerOpen(false);
+		setSeek(null);
+		setPlayingLine(null);
+	};
+
+	// The key handler is registered once and always calls the latest stepHit
+	const stepHitRef = useRef(stepHit);
+	useEffect(() => {
+		stepHitRef.current = stepHit;
+	});
+
+	useEffect(() => {
+		const onKeyDown = (e) => {
+			if (["INPUT", "TEXTAREA"].includes(e.target.tagName) || e.metaKey || e.ctrlKey || e.altKey) {
+				return;
+			}
+			if (e.key === "n") stepHitRef.current(1);
+			if (e.key === "p" || e.key === "N") stepHitRef.current(-1);
+		};
+		document.addEventListener("keydown", onKeyDown);
+		return () => document.removeEventListener("keydown", onKeyDown);
+	}, []);
+
+	if (error) {
+		return (
+			<div className="reader">
+				<button className="reader-back" onClick={onBack}>
+					<ArrowLeft size={14} /> BACK
+				</button>
+				<div className="query-error">{error}</div>
+			</div>
+		);
+	}
+	if (!data) return <div className="loading-indicator">LOADING TRANSCRIPT...</div>;
+
+	const { show, segments } = data;
+	const segmentIndex = new Map(segments.map((s, i) => [s.line, i]));
+	const playable = mediaSource(show.youtube_url) !== null;
+
+	return (
+		<div className="reader">
+			<div className="reader-header">
+				<button className="reader-back" onClick={onBack}>
+					<ArrowLeft size={14} /> BACK
+				</button>
+				<span className="result-date">{formatTitle(show)}</span>
+				{playable && (
+					<button
+						className="youtube-link reader-listen"
+						onClick={() => (playerOpen ? closePlayer() : setPlayerOpen(true))}
+						title="Play along with the transcript"
+					>
+						<Headphones size={16} style={{ marginRight: "4px" }} />
+						{playerOpen ? "HIDE PLAYER" : "LISTEN"}
+					</button>
+				)}
+				{show.youtube_url && (
+					<a
+						href={show.youtube_url}
+						target="_blank"
+						rel="noopener noreferrer"
+						className="youtube-link"
+						title="Play on YouTube"
+					>
+						<YouTubeIcon size={16} style={{ marginRight: "4px" }} />
+						PLAY
+					</a>
+				)}
+				<ExportMenu
+					href={`/api/export/shows/${show.date}${show.type !== "show" ? `?type=${show.type}` : ""}`}
+					formats={TRANSCRIPT_EXPORTS}
+					title="Download this transcript"
+				/>
+			</div>
+
+			{query && (
+				<div className="reader-hitbar">
+					<button onClick={() => stepHit(-1)} disabled={hits.length === 0} title="Previous hit (p)">
+						<ChevronUp size={14} />
+					</button>
+					<span>
+						{hits.length === 0
+							? `NO HITS FOR "${query}"`
+							: `HIT ${currentHit >= 0 ? currentHit + 1 : "-"} / ${hits.length} · "${query}"`}
+					</span>
+					<button onClick={() => stepHit(1)} disabled={hits.length === 0} title="Next hit (n)">
+						<ChevronDown size={14} />
+					</button>
+				</div>
+			)}
+
+			{clipRange && (
+				<ClipBar
+					key={`${clipRange.start}-${clipRange.end}`}
+					show={show}
+					range={clipRange}
+					segments={segments}
+					canSave={canSave}
+					onOpen={onOpen}
+					onClose={() => setClipRange(null)}
+				/>
+			)}
+
+			<div className="reader-body">
+				{segments.map((segment) => (
+					<div
+						key={segment.line}
+						id={`segment-${segment.line}`}
+						className={`reader-segment ${hitSet.has(segment.line) ? "hit" : ""} ${
+							segment.line === targetSegment ? "current" : ""
+						} ${segment.line === playingLine ? "playing" : ""} ${
+							clipRange && segment.line >= clipRange.start && segment.line <= clipRange.end
+								? "clipped"
+								: ""
+						}`}
+					>
+						<span className="reader-timestamp">
+							{segment.start &&
+								(segment.link ? (
+									<a
+										href={segment.link}
+										target="_blank"
+										rel="noopener noreferrer"
+										className="timestamp-link"
+										title={playable ? `Play from ${segment.start}` : `Jump to ${segment.start}`}
+										onClick={(e) => {
+											// Modified clicks still open the recording in a new tab
+											if (!playable || e.metaKey || e.ctrlKey || e.shiftKey) return;
+											e.preventDefault();
+											playFrom(segment.video_start);
+										}}
+									>
+										{segment.start.split(".")[0]}
+									</a>
+								) : (
+									segment.start.split(".")[0]
+								))}
+						</span>
+						<div className="reader-text">
+							{query ? highlight(segment.text, query) : segment.text}
+							{fixing === segment.line && (
+								<CorrectionForm
+									date={show.date}
+									type={show.type}
+									line={segment.line}
+									text={segment.text}
+									onClose={() => setFixing(null)}
+								/>
+							)}
+						</div>
+						{fixing !== segment.line && (
+							<button
+								className="reader-fix"
+								onClick={() => setFixing(segment.line)}
+								title="Suggest a fix for this segment"
+							>
+								<Pencil size={12} />
+							</button>
+						)}
+						<button
+							className="reader-fix"
+							onClick={() => extendClip(segment.line)}
+							title={clipRange ? "Stretch the clip to this segment" : "Start a clip here"}
+						>
+							<Bookmark size={12} />
+						</button>
+					</div>
+				))}
+			</div>
+
+			{playerOpen && (
+				<div className="player-panel">
+					<div className="player-controls">
+						<button
+							className={`view-toggle-button ${follow ? "active" : ""}`}
+							onClick={() => setFollow(!follow)}
+							title="Scroll along with the recording"
+						>
+							<Crosshair size={12} /> FOLLOW
+						</button>
+						<button className="view-toggle-button" onClick={closePlayer} title="Close the player">
+							<X size={12} />
+						</button>
+					</div>
+					<SyncedPlayer url={show.youtube_url} seek={seek} onTime={handleTime} />
+				</div>
+			)}
+
+			{hits.length > 0 && (
+				<div className="reader-minimap" title="Hits in this show">
+					{hits.map((hit, i) => (
+						<button
+							key={hit}
+							className={`minimap-hit ${i === currentHit ? "active" : ""}`}
+							style={{ top: `${((segmentIndex.get(hit) || 0) / segments.length) * 100}%` }}
+							onClick={() => goToHit(i)}
+							title={`Hit ${i + 1}`}
+						/>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
+
+// One saved clip: its show, note and transcript lines, each timestamp a play link
+const ClipCard = ({ clip, highlight, onOpen, actions, children }) => (
+	<div className="result-card clip-card">
+		<div className="result-header">
+			<span className="result-date">
+				<Radio size={14} style={{ display: "inline", marginRight: "5px" }} />
+				{formatTitle(clip)}
+				{clip.start && <span className="clip-start">{clip.start.split(".")[0]}</span>}
+			</span>
+			<div style={{ display: "flex", gap: "8px" }}>
+				<a
+					href={readerUrl(clip, clip.start_line, "")}
+					onClick={onOpen}
+					className="youtube-link"
+					title="Read the full transcript"
+				>
+					<BookOpen size={16} style={{ marginRight: "4px" }} />
+					<span className="clip-action">READ</span>
+				</a>
+				<a
+					href={clipUrl(clip, clip.start_line, clip.end_line)}
+					onClick={onOpen}
+					className="youtube-link"
+					title="Page for just this clip, to share"
+				>
+					<Link2 size={16} style={{ marginRight: "4px" }} />
+					<span className="clip-action">SHARE</span>
+				</a>
+				{clip.link && (
+					<a
+						href={clip.link}
+						target="_blank"
+						rel="noopener noreferrer"
+						className="youtube-link"
+						title="Play this clip"
+					>
+						<YouTubeIcon size={16} style={{ marginRight: "4px" }} />
+						<span className="clip-action">PLAY</span>
+					</a>
+				)}
+				{actions}
+			</div>
+		</div>
+		{clip.note && <div className="clip-note">{clip.note}</div>}
+		<div className="result-content">{highlight(clip.snippet, "", clip.timestamp_links)}</div>
+		{children}
+	</div>
+);
+
+const shareUrl = (collection) => `${window.location.origin}/collections/${collection.id}`;
+
+// The logged-in user's clips and collections
+const ClipsPage = ({ highlight, onOpen, onBack }) => {
+	const [clips, setClips] = useState(null);
+	const [collections, setCollections] = useState([]);
+	const [error, setError] = useState(null);
+	const [name, setName] = useState(""); // New collection
+	const [copied, setCopied] = useState(null); // Collection whose link was just copied
+	const [reload, setReload] = useState(0);
+
+	useEffect(() => {
+		const controller = new AbortController();
+		Promise.all([
+			axios.get("/api/clips", { signal: controller.signal }),
+			axios.get("/api/collections", { signal: controller.signal }),
+		])
+			.then(([clipsRes, collectionsRes]) => {
+				setClips(clipsRes.data.clips);
+				setCollections(collectionsRes.data.collections);
+			})
+			.catch((err) => {
+				if (axios.isCancel(err)) return;
+				setError(apiError(err, "Could not load your clips"));
+			});
+		return () => controller.abort();
+	}, [reload]);
+
+	// Run a change, then load everything again
+	const change = (request) =>
+		request
+			.then(() => {
+				setError(null);
+				setReload((n) => n + 1);
+			})
+			.catch((err) => setError(apiError(err, "Could not save the change")));
+
+	const createCollection = (e) => {
+		e.preventDefault();
+		change(axios.post("/api/collections", { name })).then(() => setName(""));
+	};
+
+	const copyLink = (collection) =>
+		navigator.clipboard.writeText(shareUrl(collection)).then(() => setCopied(collection.id));
+
+	const collectionName = new Map(collections.map((c) => [c.id, c.name]));
+
+	return (
+		<div className="reader clips-page">
+			<div className="reader-header">
+				<button className="reader-back" onClick={onBack}>
+					<ArrowLeft size={14} /> BACK
+				</button>
+				<span className="result-date">MY CLIPS</span>
+			</div>
+			{error && <div className="query-error">{error}</div>}
+
+			<section className="clip-collections">
+				<h2 className="clips-heading">COLLECTIONS</h2>
+				{collections.map((collection) => (
+					<div key={collection.id} className="clip-collection">
+						<a href={`/collections/${collection.id}`} onClick={onOpen}>
+							{collection.name}
+						</a>
+						<span className="clip-count">
+							{collection.clip_count} CLIP{collection.clip_count === 1 ? "" : "S"}
+						</span>
+						<button
+							className={`view-toggle-button ${collection.public ? "active" : ""}`}
+							onClick={() =>
+								change(
+									axios.patch(`/api/collections/${collection.id}`, { public: !collection.public })
+								)
+							}
+							title={collection.public ? "Anyone with the link can see it" : "Only you can see it"}
+						>
+							{collection.public ? "PUBLIC" : "PRIVATE"}
+						</button>
+						{collection.public && (
+							<button
+								className="view-toggle-button"
+								onClick={() => copyLink(collection)}
+								title="Copy the share link"
+							>
+								<Link2 size={12} /> {copied === collection.id ? "COPIED" : "LINK"}
+							</button>
+						)}
+						<button
+							className="view-toggle-button"
+							onClick={() =>
+								window.confirm(`Delete "${collection.name}"? Its clips are kept.`) &&
+								change(axios.delete(`/api/collections/${collection.id}`))
+							}
+							title="Delete the collection"
+						>
+							<Trash2 size={12} />
+						</button>
+					</div>
+				))}
+				<form className="clip-collection-form" onSubmit={createCollection}>
+					<input
+						value={name}
+						onChange={(e) => setName(e.target.value)}
+						placeholder="New collection"
+						maxLength={100}
+					/>
+					<button type="submit" className="view-toggle-button active" disabled={!name.trim()}>
+						CREATE
+					</button>
+				</form>
+			</section>
+
+			<h2 className="clips-heading">CLIPS</h2>
+			{clips === null && !error && <div className="loading-indicator">LOADING CLIPS...</div>}
+			{clips && clips.length === 0 && (
+				<div className="no-results">
+					NO CLIPS YET. SAVE ONE FROM A SEARCH RESULT OR WITH THE BOOKMARK IN THE READER.
+				</div>
+			)}
+			{clips &&
+				clips.map((clip) => (
+					<ClipCard
+						key={clip.id}
+						clip={clip}
+						highlight={highlight}
+						onOpen={onOpen}
+						actions={
+							<button
+								className="youtube-link clip-delete"
+								onClick={() =>
+									window.confirm("Delete this clip?") &&
+									change(axios.delete(`/api/clips/${clip.id}`))
+								}
+								title="Delete the clip"
+							>
+								<Trash2 size={16} />
+							</button>
+						}
+					>
+						<div className="clip-in">
+							{clip.collections.map((id) => (
+								<span key={id} className="clip-tag">
+									{collectionName.get(id)}
+									<X
+										size={10}
+										onClick={() => change(axios.delete(`/api/collections/${id}/clips/${clip.id}`))}
+									/>
+								</span>
+							))}
+							{collections.some((c) => !clip.collections.includes(c.id)) && (
+								<select
+									value=""
+									onChange={(e) =>
+										change(
+											axios.post(`/api/collections/${e.target.value}/clips`, { clip_id: clip.id })
+										)
+									}
+								>
+									<option value="">ADD TO COLLECTION...</option>
+									{collections
+										.filter((c) => !clip.collections.includes(c.id))
+										.map((c) => (
+											<option key={c.id} value={c.id}>
+												{c.name}
+											</option>
+										))}
+								</select>
+							)}
+						</div>
+					</ClipCard>
+				))}
+		</div>
+	);
+};
+
+// A collection's share page, for anyone once it is public
+const CollectionPage = ({ id, highlight, onOpen, onBack }) => {
+	const [data, setData] = useState(null);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		const controller = new AbortController();
+		axios
+			.get(`/api/collections/${id}`, { signal: controller.signal })
+			.then((res) => setData(res.data))
+			.catch((err) => {
+				if (axios.isCancel(err)) return;
+				setError(apiError(err, "Could not load the collection"));
+			});
+		return () => controller.abort();
+	}, [id]);
+
+	if (error) {
+		return (
+			<div className="reader">
+				<button className="reader-back" onClick={onBack}>
+					<ArrowLeft size={14} /> BACK
+				</button>
+				<div className="query-error">{error}</div>
+			</div>
+		);
+	}
+	if (!data) return <div className="loading-indicator">LOADING COLLECTION...</div>;
+
+	const { collection, clips } = data;
+	return (
+		<div className="reader clips-page">
+			<div className="reader-header">
+				<button className="reader-back" onClick={onBack}>
+					<ArrowLeft size={14} /> BACK
+				</button>
+				<span className="result-date">{collection.name}</span>
+				<span className="clip-count">
+					BY {collection.owner.toUpperCase()} · {clips.length} CLIP{clips.length === 1 ? "" : "S"}
+					{collection.mine && !collection.public ? " · PRIVATE" : ""}
+				</span>
+			</div>
+			{collection.description && <div className="clip-note">{collection.description}</div>}
+			{clips.length === 0 && <div className="no-results">THIS COLLECTION IS EMPTY.</div>}
+			{clips.map((clip) => (
+				<ClipCard key={clip.id} clip={clip} highlight={highlight} onOpen={onOpen} />
+			))}
+		</div>
+	);
+};
+
+// A shareable excerpt of one show: just the clip's segments, with the player cued to them.
+// The server gives the same URL a quote card and meta tags for link previews.
+const ClipView = ({ date, type, start, end, onOpen, onBack }) => {
+	const [data, setData] = useState(null);
+	const [error, setError] = useState(null);
+	const [seek, setSeek] = useState(null);
+	const [playingLine, setPlayingLine] = useState(null);
+	const [copied, setCopied] = useState(false);
+
+	useEffect(() => {
+		const controller = new AbortController();
+		axios
+			.get(`/api/clip/${date}`, {
+				params: { start, end, type: type !== "show" ? type : undefined },
+				signal: controller.signal,
+			})
+			.then((res) => {
+				setData(res.data);
+				if (res.data.video_start !== null) {
+					setSeek({ seconds: res.data.video_start, until: res.data.video_end });
+				}
+			})
+			.catch((err) => {
+				if (axios.isCancel(err)) return;
+				setError(apiError(err, "Could not load the clip"));
+			});
+		return () => controller.abort();
+	}, [date, type, start, end]);
+
+	if (error) {
+		return (
+			<div className="reader">
+				<button className="reader-back" onClick={onBack}>
+					<ArrowLeft size={14} /> BACK
+				</button>
+				<div className="query-error">{error}</div>
+			</div>
+		);
+	}
+	if (!data) return <div className="loading-indicator">LOADING CLIP...</div>;
+
+	const { show, segments } = data;
+	const playable = mediaSource(show.youtube_url) !== null;
+
+	// The segment under the playback position
+	const handleTime = (seconds) => {
+		let found = null;
+		for (const segment of segments) {
+			if (segment.video_start !== null && segment.video_start <= seconds) found = segment.line;
+		}
+		setPlayingLine(found);
+	};
+
+	const copyLink = () =>
+		navigator.clipboard.writeText(window.location.href).then(() => setCopied(true));
+
+	return (
+		<div className="reader clip-view">
+			<div className="reader-header">
+				<button className="reader-back" onClick={onBack}>
+					<ArrowLeft size={14} /> BACK
+				</button>
+				<span className="result-date">{show.title}</span>
+				<a
+					href={readerUrl(show, data.start_line, "")}
+					onClick={onOpen}
+					className="youtube-link"
+					title="Read the full transcript"
+				>
+					<BookOpen size={16} style={{ marginRight: "4px" }} />
+					FULL SHOW
+				</a>
+				{data.link && (
+					<a
+						href={data.link}
+						target="_blank"
+						rel="noopener noreferrer"
+						className="youtube-link"
+						title="Play on YouTube"
+					>
+						<YouTubeIcon size={16} style={{ marginRight: "4px" }} />
+						PLAY
+					</a>
+				)}
+				<button className="view-toggle-button" onClick={copyLink} title="Copy this page's link">
+					<Link2 size={12} /> {copied ? "COPIED" : "COPY LINK"}
+				</button>
+			</div>
+
+			{playable && (
+				<div className="player-panel clip-player">
+					<SyncedPlayer url={show.youtube_url} seek={seek} onTime={handleTime} />
+				</div>
+			)}
+
+			<div className="reader-body">
+				{segments.map((segment) => (
+					<div
+						key={segment.line}
+						className={`reader-segment ${segment.line === playingLine ? "playing" : ""}`}
+					>
+						<span className="reader-timestamp">
+							{segment.start &&
+								(segment.link ? (
+									<a
+										href={segment.link}
+										target="_blank"
+										rel="noopener noreferrer"
+										className="timestamp-link"
+										title={playable ? `Play from ${segment.start}` : `Jump to ${segment.start}`}
+										onClick={(e) => {
+											if (!playable || e.metaKey || e.ctrlKey || e.shiftKey) return;
+											e.preventDefault();
+											setSeek({ seconds: segment.video_start, until: data.video_end });
+										}}
+									>
+										{segment.start.split(".")[0]}
+									</a>
+								) : (
+									segment.start.split(".")[0]
+								))}
+						</span>
+						<div className="reader-text">{segment.text}</div>
+					</div>
+				))}
+			</div>
+
+			<a href={data.card_url} target="_blank" rel="noopener noreferrer" title="Quote card">
+				<img className="clip-card-preview" src={data.card_url} alt={`Quote card: ${show.title}`} />
+			</a>
+		</div>
+	);
+};
+
+// Bar chart of /api/trends buckets. Clicking a bar hands its period to onSelect.
+const TrendChart = ({ trend, onSelect }) => {
+	const values = trend.buckets.map((b) => (trend.normalized ? b.rate : b.hits));
+	const max = Math.max(...values) || 1;
+	// Keep roughly a dozen labels however many buckets there are
+	const labelEvery = Math.ceil(trend.buckets.length / 12);
+
+	return (
+		<div className="trend-chart">
+			<div className="trend-bars">
+				{trend.buckets.map((bucket, i) => (
+					<div
+						key={bucket.from}
+						className="trend-bar-slot"
+						title={`${bucket.period}: ${bucket.hits.toLocaleString()} hits in ${
+							bucket.shows
+						} shows${trend.normalized ? `, ${bucket.rate} per 1,000 segments` : ""}`}
+						onClick={() => onSelect(bucket)}
+					>
+						<div className="trend-bar" style={{ height: `${(values[i] / max) * 100}%` }} />
+					</div>
+				))}
+			</div>
+			<div className="trend-labels">
+				{trend.buckets.map((bucket, i) => (
+					<span key={bucket.from} className="trend-label">
+						{i % labelEvery === 0 ? bucket.period : ""}
+					</span>
+				))}
+			</div>
+		</div>
+	);
+};
+
 function App() {
-	const [query, setQuery] = useState("");
+	const [route, setRoute] = useState(parseRoute);
+	const [initial] = useState(readUrlState);
+	const [query, setQuery] = useState(initial.query);
 	const [results, setResults] = useState([]);
 	const [loading, setLoading] = useState(false);
-	const [selectedYears, setSelectedYears] = useState([]); // Array of strings or empty for ALL
+	const [selectedYears, setSelectedYears] = useState(initial.selectedYears); // Array of strings or empty for ALL
+	const [calendar, setCalendar] = useState([]); // Years (and their months) that have shows
+	const [dateFrom, setDateFrom] = useState(initial.dateFrom); // YYYY-MM-DD or empty
+	const [dateTo, setDateTo] = useState(initial.dateTo);
+	const [selectedMonth, setSelectedMonth] = useState(initial.selectedMonth); // "1".."12" or empty for any
+	const [selectedWeekdays, setSelectedWeekdays] = useState(initial.selectedWeekdays); // 0 = Sunday
 	const [searchTime, setSearchTime] = useState(0);
 
 	const [indexStatus, setIndexStatus] = useState("");
+	const [queryError, setQueryError] = useState(null); // Syntax error reported by /api/search
+	const [suggestions, setSuggestions] = useState([]); // "Did you mean" corrections
 	const [totalFiles, setTotalFiles] = useState(-1); // -1 means unknown
 	const [retryTick, setRetryTick] = useState(0);
-	const [hasMore, setHasMore] = useState(false);
+	const [totals, setTotals] = useState(null); // { hits, shows } of the whole search
+	const [fixing, setFixing] = useState(null); // id of the result whose segment is being corrected
+	const [nextCursor, setNextCursor] = useState(null); // Opaque, null on the last page
+	const [loadingMore, setLoadingMore] = useState(false);
 	const [theme, setTheme] = useState(localStorage.getItem("theme") || "dark");
-	const [activeTab, setActiveTab] = useState("search"); // 'search' or 'shows'
-	const [showBestOf, setShowBestOf] = useState(false);
-	const [showDrops, setShowDrops] = useState(false);
+	const [activeTab, setActiveTab] = useState(initial.activeTab); // 'search' or 'shows'
+	const [showBestOf, setShowBestOf] = useState(initial.showBestOf);
+	const [showDrops, setShowDrops] = useState(initial.showDrops);
+	const [showNotes, setShowNotes] = useState(initial.showNotes);
+	const [groupByShow, setGroupByShow] = useState(initial.groupByShow); // Show view: one card per episode
+	const [blendFuzzy, setBlendFuzzy] = useState(initial.blendFuzzy); // Mix near-miss spellings into the hits
+	const [showTrends, setShowTrends] = useState(initial.showTrends);
+	const [trendInterval, setTrendInterval] = useState(initial.trendInterval); // year, month or week
+	const [trendNormalize, setTrendNormalize] = useState(initial.trendNormalize); // Hits per 1,000 segments
+	const [trend, setTrend] = useState(null);
 	const [allShows, setAllShows] = useState([]);
 	const [loadingShows, setLoadingShows] = useState(false);
+	const [thesaurus, setThesaurus] = useState({}); // term -> every variant in its group
+	const [user, setUser] = useState(null); // Logged-in account, null when logged out
+	const [savedClips, setSavedClips] = useState({}); // Result id -> "saving", "saved" or "error"
+
+	const [autocomplete, setAutocomplete] = useState([]); // Dropdown under the search bar
+	const [autocompleteOpen, setAutocompleteOpen] = useState(false);
+	const [activeSuggestion, setActiveSuggestion] = useState(-1); // Keyboard highlight
 
 	const searchTimeout = useRef(null);
+	const suggestTimeout = useRef(null);
+	// Set when the query came from the dropdown itself or from the URL
+	const sentinelRef = useRef(null); // End of the results list, for infinite scroll
+	const skipAutocomplete = useRef(initial.query !== "");
+	const lastUrlState = useRef(null);
 
 	// Apply theme to document
 	useEffect(() => {
@@ -105,29 +1452,199 @@ function App() {
 		localStorage.setItem("theme", theme);
 	}, [theme]);
 
+	// Back and forward restore the page and every filter from the URL
+	useEffect(() => {
+		const onPopState = () => {
+			const next = parseRoute();
+			setRoute(next);
+			if (next.page !== "search") return;
+
+			const state = readUrlState();
+			setQuery((prev) => {
+				if (prev !== state.query) skipAutocomplete.current = true;
+				return state.query;
+			});
+			setSelectedYears(state.selectedYears);
+			setDateFrom(state.dateFrom);
+			setDateTo(state.dateTo);
+			setSelectedMonth(state.selectedMonth);
+			setSelectedWeekdays(state.selectedWeekdays);
+			setActiveTab(state.activeTab);
+			setShowBestOf(state.showBestOf);
+			setShowDrops(state.showDrops);
+			setShowNotes(state.showNotes);
+			setGroupByShow(state.groupByShow);
+			setBlendFuzzy(state.blendFuzzy);
+			setShowTrends(state.showTrends);
+			setTrendInterval(state.trendInterval);
+			setTrendNormalize(state.trendNormalize);
+		};
+		window.addEventListener("popstate", onPopState);
+		return () => window.removeEventListener("popstate", onPopState);
+	}, []);
+
+	const urlState = useMemo(
+		() => ({
+			activeTab,
+			query,
+			selectedYears,
+			dateFrom,
+			dateTo,
+			selectedMonth,
+			selectedWeekdays,
+			showBestOf,
+			showDrops,
+			showNotes,
+			groupByShow,
+			blendFuzzy,
+			showTrends,
+			trendInterval,
+			trendNormalize,
+		}),
+		[
+			activeTab,
+			query,
+			selectedYears,
+			dateFrom,
+			dateTo,
+			selectedMonth,
+			selectedWeekdays,
+			showBestOf,
+			showDrops,
+			showNotes,
+			groupByShow,
+			blendFuzzy,
+			showTrends,
+			trendInterval,
+			trendNormalize,
+		]
+	);
+
+	// Mirror the state into the URL. Every change is a history entry except typing, which
+	// replaces the current one so Back doesn't step through each keystroke.
+	useEffect(() => {
+		if (route.page !== "search") return;
+		const url = buildUrl(urlState);
+		const previous = lastUrlState.current;
+		lastUrlState.current = urlState;
+		if (url === window.location.pathname + window.location.search) return;
+
+		const typing = previous && buildUrl({ ...previous, query: urlState.query }) === url;
+		if (!previous || typing) window.history.replaceState({ fromApp: true }, "", url);
+		else window.history.pushState({ fromApp: true }, "", url);
+	}, [route.page, urlState]);
+
+	useEffect(() => {
+		axios
+			.get("/api/auth/me")
+			.then((res) => setUser(res.data.user))
+			.catch(() => setUser(null));
+	}, []);
+
+	// Same alias groups the server expands searches with, so highlights match the hits
+	useEffect(() => {
+		axios
+			.get("/api/thesaurus")
+			.then((res) => {
+				const byTerm = {};
+				Object.values(res.data.groups).forEach((terms) => {
+					terms.forEach((term) => (byTerm[term] = terms));
+				});
+				setThesaurus(byTerm);
+			})
+			.catch((err) => console.error("Failed to load thesaurus", err));
+	}, []);
+
 	const toggleTheme = () => setTheme((prev) => (prev === "dark" ? "light" : "dark"));
 
-	// Load more function
+	// years, from/to, months and weekdays as understood by /api/search and /api/shows
+	const dateParams = useMemo(() => {
+		const params = {};
+		if (selectedYears.length > 0) params.years = selectedYears.join(",");
+		if (dateFrom) params.from = dateFrom;
+		if (dateTo) params.to = dateTo;
+		if (selectedMonth) params.months = selectedMonth;
+		if (selectedWeekdays.length > 0) params.weekdays = selectedWeekdays.join(",");
+		return params;
+	}, [selectedYears, dateFrom, dateTo, selectedMonth, selectedWeekdays]);
+
+	// The current search for /api/export/search, which downloads every hit rather than a page
+	const exportHref = useMemo(() => {
+		const params = { q: query };
+		if (showBestOf) {
+			params.type = "best_of";
+		} else {
+			if (showNotes) params.type = "notes";
+			Object.assign(params, dateParams);
+		}
+		return `/api/export/search?${new URLSearchParams(params)}`;
+	}, [query, showBestOf, showNotes, dateParams]);
+
+	// The year chips only list years that actually have shows
+	useEffect(() => {
+		let retry;
+		const fetchCalendar = () => {
+			axios
+				.get("/api/calendar")
+				.then((res) => setCalendar(res.data.years))
+				.catch((err) => {
+					if (err.response && err.response.status === 503) {
+						retry = setTimeout(fetchCalendar, 2000);
+					} else {
+						console.error("Failed to load calendar", err);
+					}
+				});
+		};
+		fetchCalendar();
+		return () => clearTimeout(retry);
+	}, []);
+
+	// Next page of the current search, asked for with the cursor of the last one
 	const loadMore = async () => {
-		if (loading || !hasMore) return;
+		if (loading || loadingMore || !nextCursor) return;
 
-		const currentOffset = results.length;
-		const params = { q: query, offset: currentOffset };
+		const params = { q: query, cursor: nextCursor };
+		if (groupByShow && !showNotes) params.group = "show";
+		if (blendFuzzy && !groupByShow && !showNotes) params.ranking = "blend";
 		if (showBestOf) {
 			params.type = "best_of";
-		} else if (selectedYears.length > 0) {
-			params.years = selectedYears.join(",");
+		} else {
+			if (showNotes) params.type = "notes";
+			Object.assign(params, dateParams);
 		}
 
+		setLoadingMore(true);
 		try {
 			const res = await axios.get(API_URL, { params });
-			if (res.data.length < 100) setHasMore(false);
-			setResults((prev) => [...prev, ...res.data]);
+			setNextCursor(res.data.next_cursor);
+			setResults((prev) => [...prev, ...res.data.results]);
 		} catch (err) {
 			console.error("Load more failed", err);
+		} finally {
+			setLoadingMore(false);
 		}
 	};
 
+	// The observer is created once per page and always calls the latest loadMore
+	const loadMoreRef = useRef(loadMore);
+	useEffect(() => {
+		loadMoreRef.current = loadMore;
+	});
+
+	// Infinite scroll: fetch the next page as the end of the list comes into view
+	useEffect(() => {
+		const sentinel = sentinelRef.current;
+		if (!sentinel || !nextCursor) return;
+		const observer = new IntersectionObserver(
+			(entries) => {
+				if (entries[0].isIntersecting) loadMoreRef.current();
+			},
+			{ rootMargin: "600px" }
+		);
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [nextCursor, loading, showDrops, activeTab, route.page]);
+
 	useEffect(() => {
 		// Debounce search
 		if (searchTimeout.current) clearTimeout(searchTimeout.current);
@@ -135,8 +1652,11 @@ function App() {
 		// Clear results if no query (for all modes)
 		if (!query.trim()) {
 			setResults([]);
+			setSuggestions([]);
+			setQueryError(null);
 			setIndexStatus("");
-			setHasMore(false);
+			setTotals(null);
+			setNextCursor(null);
 			return;
 		}
 
@@ -161,21 +1681,28 @@ function App() {
 					// Mark each drop with type for rendering
 					const dropsWithType = res.data.map((drop) => ({ ...drop, type: "drop" }));
 					setResults(dropsWithType);
-					setHasMore(false); // No pagination for drops
+					setTotals(null);
+					setNextCursor(null); // No pagination for drops
 				} else {
 					const params = { q: query };
+					if (groupByShow && !showNotes) params.group = "show";
+					if (blendFuzzy && !groupByShow && !showNotes) params.ranking = "blend";
 					if (showBestOf) {
 						params.type = "best_of";
-					} else if (selectedYears.length > 0) {
-						params.years = selectedYears.join(",");
+					} else {
+						if (showNotes) params.type = "notes";
+						Object.assign(params, dateParams);
 					}
 
 					res = await axios.get(API_URL, {
 						params,
 						signal: controller.signal,
 					});
-					setResults(res.data);
-					setHasMore(res.data.length === 100);
+					setQueryError(null);
+					setResults(res.data.results);
+					setSuggestions(res.data.suggestions);
+					setTotals({ hits: res.data.total_hits, shows: res.data.total_shows });
+					setNextCursor(res.data.next_cursor);
 				}
 			} catch (err) {
 				if (axios.isCancel(err)) {
@@ -186,6 +1713,7 @@ function App() {
 				if (err.response && err.response.status === 503) {
 					const { progress, totalFiles: count } = err.response.data;
 					setResults([]);
+					setSuggestions([]);
 					setTotalFiles(count);
 					if (count === 0) {
 						setIndexStatus(`Indexing Error: No transcripts found in directory.`);
@@ -197,6 +1725,13 @@ function App() {
 					setTimeout(() => {
 						setRetryTick((tick) => tick + 1);
 					}, 1000);
+				} else if (err.response && err.response.status === 400) {
+					setResults([]);
+					setSuggestions([]);
+					setTotals(null);
+					setNextCursor(null);
+					setQueryError(err.response.data);
+					setIndexStatus("");
 				} else {
 					console.error("Search failed", err);
 					setIndexStatus("");
@@ -218,7 +1753,115 @@ function App() {
 			clearTimeout(searchTimeout.current);
 			controller.abort();
 		};
-	}, [query, selectedYears, retryTick, showBestOf, showDrops]);
+	}, [query, dateParams, retryTick, showBestOf, showDrops, showNotes, groupByShow, blendFuzzy]);
+
+	// Timeline of the current search, fetched alongside it when the chart is open
+	useEffect(() => {
+		if (!showTrends || !query.trim() || showDrops || showNotes) {
+			setTrend(null);
+			return;
+		}
+
+		const controller = new AbortController();
+		const timeout = setTimeout(() => {
+			const params = { q: query, interval: trendInterval, normalize: trendNormalize };
+			if (showBestOf) params.type = "best_of";
+			else Object.assign(params, dateParams);
+
+			axios
+				.get(TRENDS_API_URL, { params, signal: controller.signal })
+				.then((res) => setTrend(res.data))
+				.catch((err) => {
+					if (axios.isCancel(err)) return;
+					setTrend(null);
+					// Syntax errors are already shown for the search itself
+					if (!err.response || err.response.status !== 400) {
+						console.error("Trends failed", err);
+					}
+				});
+		}, 400);
+
+		return () => {
+			clearTimeout(timeout);
+			controller.abort();
+		};
+	}, [
+		showTrends,
+		query,
+		trendInterval,
+		trendNormalize,
+		dateParams,
+		showBestOf,
+		showDrops,
+		showNotes,
+	]);
+
+	// A clicked bar becomes the date range filter
+	const applyTrendPeriod = (bucket) => {
+		setSelectedYears([]);
+		setDateFrom(bucket.from);
+		setDateTo(bucket.to);
+	};
+
+	// Autocomplete while typing, on a shorter debounce than the search itself
+	useEffect(() => {
+		if (suggestTimeout.current) clearTimeout(suggestTimeout.current);
+		if (skipAutocomplete.current) {
+			skipAutocomplete.current = false;
+			return;
+		}
+		if (query.trim().length < 2) {
+			setAutocomplete([]);
+			return;
+		}
+
+		const controller = new AbortController();
+		suggestTimeout.current = setTimeout(() => {
+			axios
+				.get(SUGGEST_API_URL, { params: { prefix: query }, signal: controller.signal })
+				.then((res) => {
+					setAutocomplete(res.data);
+					setActiveSuggestion(-1);
+				})
+				.catch((err) => {
+					if (!axios.isCancel(err)) console.error("Autocomplete failed", err);
+				});
+		}, 150);
+
+		return () => {
+			clearTimeout(suggestTimeout.current);
+			controller.abort();
+		};
+	}, [query]);
+
+	const applySuggestion = (suggestion) => {
+		if (suggestion.value !== query) skipAutocomplete.current = true;
+		setAutocomplete([]);
+		setAutocompleteOpen(false);
+		if (suggestion.type === "drop") {
+			setShowDrops(true);
+			setSelectedYears([]);
+			setShowBestOf(false);
+			setShowNotes(false);
+		}
+		setQuery(suggestion.value);
+	};
+
+	const handleSearchKeyDown = (e) => {
+		if (!autocompleteOpen || autocomplete.length === 0) return;
+		if (e.key === "ArrowDown") {
+			e.preventDefault();
+			setActiveSuggestion((i) => (i + 1) % autocomplete.length);
+		} else if (e.key === "ArrowUp") {
+			e.preventDefault();
+			setActiveSuggestion((i) => (i <= 0 ? autocomplete.length - 1 : i - 1));
+		} else if (e.key === "Enter" && activeSuggestion >= 0) {
+			e.preventDefault();
+			applySuggestion(autocomplete[activeSuggestion]);
+		} else if (e.key === "Escape") {
+			setAutocompleteOpen(false);
+		}
+	};
 
 	// Fetch all shows for the "Full List" tab
 	useEffect(() => {
@@ -236,8 +1879,8 @@ function App() {
 						const params = {};
 						if (showBestOf) {
 							params.type = "best_of";
-						} else if (selectedYears.length > 0) {
-							params.years = selectedYears.join(",");
+						} else {
+							Object.assign(params, dateParams);
 						}
 						const res = await axios.get("/api/shows", { params });
 						setAllShows(res.data);
@@ -260,32 +1903,28 @@ function App() {
 			};
 			fetchShows();
 		}
-	}, [activeTab, selectedYears, showBestOf, showDrops]);
+	}, [activeTab, dateParams, showBestOf, showDrops]);
 
-	// Helper: Convert HH:MM:SS.ms to seconds
-	const tsToSec = (ts) => {
-		const parts = ts.split(":").map(parseFloat);
-		return parts[0] * 3600 + parts[1] * 60 + (parts[2] || 0);
-	};
-
-	const NEIL_THESAURUS = {
-		jorge: ["jorge", "george"],
-		george: ["jorge", "george"],
-	};
-
-	// Highlighter helper with Deep Linking
-	const highlightText = (text, highlight, youtubeUrl) => {
-		if (!highlight.trim()) return text;
+	// Highlighter helper with Deep Linking. `links` maps each timestamp in the text to its
+	// (offset-corrected) deep link, as returned with every search hit.
+	const highlightText = (text, highlight, links) => {
+		// Without terms to mark, the lines are still rendered for their timestamp links
+		if (!highlight.trim() && !links) return text;
 		const lines = text.split("\n");
 
-		// Expand highlight terms using thesaurus
-		const originalTerms = highlight.toLowerCase().trim().split(/\s+/);
+		// Expand highlight terms using thesaurus, skipping query operators and field filters
+		const originalTerms = highlight
+			.replace(/\b(?:year|host|date):("[^"]*"|\S+)/gi, " ")
+			.replace(/\b(?:AND|OR|NOT|NEAR(?:\/\d+)?)\b/g, " ")
+			.toLowerCase()
+			.trim()
+			.split(/\s+/);
 		const expandedTerms = new Set();
 
 		originalTerms.forEach((term) => {
 			const clean = term.replace(/[^\w]/g, "");
-			if (NEIL_THESAURUS[clean]) {
-				NEIL_THESAURUS[clean].forEach((t) => expandedTerms.add(t));
+			if (thesaurus[clean]) {
+				thesaurus[clean].forEach((t) => expandedTerms.add(t));
 			} else {
 				expandedTerms.add(clean);
 			}
@@ -294,21 +1933,17 @@ function App() {
 		// Create a regex that catches any of our expanded terms
 		// We sort by length descending to match longer phrases first if they existed
 		const termList = Array.from(expandedTerms).filter((t) => t.length > 0);
-		if (termList.length === 0) return text;
+		if (termList.length === 0 && !links) return text;
 
-		const highlightRegex = new RegExp(`(${termList.join("|")})`, "gi");
+		const highlightRegex = termList.length > 0 ? new RegExp(`(${termList.join("|")})`, "gi") : null;
 
 		return lines.map((line, lineIdx) => {
 			const tsMatch =
 				line.match(/^\[(\d{2}:\d{2}:\d{2}[.\d]*) -->/) || line.match(/^(\d{1,2}:\d{2}(?::\d{2})?)/);
 			let jumpLink = null;
 
-			if (tsMatch && youtubeUrl) {
-				const seconds = tsToSec(tsMatch[1]);
-				const seekTime = Math.max(0, Math.floor(seconds) - 5);
-				const separator = youtubeUrl.includes("?") ? "&" : "?";
-				const deepLink = `${youtubeUrl}${separator}t=${seekTime}s`;
-
+			const deepLink = tsMatch && links && links[tsMatch[1]];
+			if (deepLink) {
 				jumpLink = (
 					<a
 						href={deepLink}
@@ -322,12 +1957,12 @@ function App() {
 				);
 			}
 
-			const parts = line.split(highlightRegex);
+			const parts = highlightRegex ? line.split(highlightRegex) : [line];
 			return (
 				<div key={lineIdx} className="transcript-line">
 					{jumpLink}
 					{parts.map((part, i) =>
-						expandedTerms.has(part.toLowerCase()) ? (
+						highlightRegex && expandedTerms.has(part.toLowerCase()) ? (
 							<span key={i} className="highlight">
 								{part}
 							</span>
@@ -340,6 +1975,15 @@ function App() {
 		});
 	};
 
+	const hasDateFilters = !!(dateFrom || dateTo || selectedMonth || selectedWeekdays.length > 0);
+
+	const clearDateFilters = () => {
+		setDateFrom("");
+		setDateTo("");
+		setSelectedMonth("");
+		setSelectedWeekdays([]);
+	};
+
 	const toggleYear = (year) => {
 		setSelectedYears((prev) => {
 			if (prev.includes(year)) {
@@ -350,10 +1994,95 @@ function App() {
 		});
 	};
 
+	const navigate = (url) => {
+		window.history.pushState({ fromApp: true }, "", url);
+		setRoute(parseRoute());
+	};
+
+	// Links are real hrefs so they can be opened in a new tab; a plain click stays in the app
+	const followLink = (e) => {
+		if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+		e.preventDefault();
+		navigate(e.currentTarget.getAttribute("href"));
+	};
+
+	// Back to the results as they were, unless the reader was opened directly
+	const leaveReader = () => {
+		if (window.history.state && window.history.state.fromApp) window.history.back();
+		else navigate("/");
+	};
+
+	const saveClip = async (item) => {
+		setSavedClips((prev) => ({ ...prev, [item.id]: "saving" }));
+		try {
+			await axios.post("/api/clips", { date: item.date, type: item.type, start_line: item.line });
+			setSavedClips((prev) => ({ ...prev, [item.id]: "saved" }));
+		} catch {
+			setSavedClips((prev) => ({ ...prev, [item.id]: "error" }));
+		}
+	};
+
+	if (route.page === "clips") {
+		return (
+			<div className="container">
+				<ClipsPage highlight={highlightText} onOpen={followLink} onBack={leaveReader} />
+			</div>
+		);
+	}
+
+	if (route.page === "clip") {
+		return (
+			<div className="container">
+				<ClipView
+					key={`${route.date}|${route.type}|${route.start}|${route.end}`}
+					date={route.date}
+					type={route.type}
+					start={route.start}
+					end={route.end}
+					onOpen={followLink}
+					onBack={leaveReader}
+				/>
+			</div>
+		);
+	}
+
+	if (route.page === "collection") {
+		return (
+			<div className="container">
+				<CollectionPage
+					key={route.id}
+					id={route.id}
+					highlight={highlightText}
+					onOpen={followLink}
+					onBack={leaveReader}
+				/>
+			</div>
+		);
+	}
+
+	if (route.page === "reader") {
+		return (
+			<div className="container">
+				<TranscriptReader
+					key={`${route.date}|${route.type}|${route.line}|${route.query}`}
+					date={route.date}
+					type={route.type}
+					line={route.line}
+					query={route.query}
+					highlight={(text, q) => highlightText(text, q, null)}
+					canSave={!!user}
+					onOpen={followLink}
+					onBack={leaveReader}
+				/>
+			</div>
+		);
+	}
+
 	return (
 		<div className="container">
 			<div className="sticky-header">
 				<header style={{ position: "relative" }}>
+					<AccountMenu user={user} onUser={setUser} onClips={followLink} />
 					<div
 						onClick={toggleTheme}
 						className="theme-toggle"
@@ -378,9 +2107,42 @@ function App() {
 								className="search-bar"
 								placeholder="Search transcripts (e.g., 'Rick and Suds', 'Al Goldstein')..."
 								value={query}
-								onChange={(e) => setQuery(e.target.value)}
+								onChange={(e) => {
+									setQuery(e.target.value);
+									setAutocompleteOpen(true);
+								}}
+								onKeyDown={handleSearchKeyDown}
+								onFocus={() => setAutocompleteOpen(true)}
+								onBlur={() => setAutocompleteOpen(false)}
+								role="combobox"
+								aria-autocomplete="list"
+								aria-expanded={autocompleteOpen && autocomplete.length > 0}
 								autoFocus
 							/>
+							{autocompleteOpen && autocomplete.length > 0 && (
+								<ul className="autocomplete" role="listbox">
+									{autocomplete.map((suggestion, i) => (
+										<li
+											key={`${suggestion.type}:${suggestion.label}`}
+											role="option"
+											aria-selected={i === activeSuggestion}
+											className={`autocomplete-item ${i === activeSuggestion ? "active" : ""}`}
+											// mousedown fires before the input's blur closes the list
+											onMouseDown={(e) => {
+												e.preventDefault();
+												applySuggestion(suggestion);
+											}}
+											onMouseEnter={() => setActiveSuggestion(i)}
+										>
+											<span className="autocomplete-label">{suggestion.label}</span>
+											<span className="autocomplete-type">
+												{suggestion.type.toUpperCase()}
+												{suggestion.count ? ` · ${suggestion.count.toLocaleString()}` : ""}
+											</span>
+										</li>
+									))}
+								</ul>
+							)}
 							{query ? (
 								<X
 									onClick={() => setQuery("")}
@@ -408,12 +2170,20 @@ function App() {
 					<div className="timeline">
 						<div
 							className={`timeline-chip ${
-								selectedYears.length === 0 && !showBestOf && !showDrops ? "active" : ""
+								selectedYears.length === 0 &&
+								!hasDateFilters &&
+								!showBestOf &&
+								!showDrops &&
+								!showNotes
+									? "active"
+									: ""
 							}`}
 							onClick={() => {
 								setSelectedYears([]);
+								clearDateFilters();
 								setShowBestOf(false);
 								setShowDrops(false);
+								setShowNotes(false);
 							}}
 						>
 							ALL YEARS
@@ -425,6 +2195,7 @@ function App() {
 								if (!showBestOf) {
 									setSelectedYears([]);
 									setShowDrops(false);
+									setShowNotes(false);
 								}
 							}}
 						>
@@ -437,17 +2208,32 @@ function App() {
 								if (!showDrops) {
 									setSelectedYears([]);
 									setShowBestOf(false);
+									setShowNotes(false);
 								}
 							}}
 						>
 							DROPS
 						</div>
-						{YEARS.map((year) => (
+						<div
+							className={`timeline-chip ${showNotes ? "active" : ""}`}
+							title="Search the show notes instead of the transcripts"
+							onClick={() => {
+								setShowNotes(!showNotes);
+								if (!showNotes) {
+									setShowBestOf(false);
+									setShowDrops(false);
+								}
+							}}
+						>
+							NOTES
+						</div>
+						{calendar.map(({ year, shows }) => (
 							<div
 								key={year}
-								className={`timeline-chip ${selectedYears.includes(year) ? "active" : ""}`}
+								className={`timeline-chip ${selectedYears.includes(String(year)) ? "active" : ""}`}
+								title={`${shows.toLocaleString()} shows`}
 								onClick={() => {
-									toggleYear(year);
+									toggleYear(String(year));
 									setShowBestOf(false);
 									setShowDrops(false);
 								}}
@@ -456,6 +2242,60 @@ function App() {
 							</div>
 						))}
 					</div>
+
+					{!showBestOf && !showDrops && (
+						<div className="date-filters">
+							<label>
+								FROM{" "}
+								<input
+									type="date"
+									className="date-input"
+									value={dateFrom}
+									min={calendar.length > 0 ? `${calendar[0].year}-01-01` : undefined}
+									onChange={(e) => setDateFrom(e.target.value)}
+								/>
+							</label>
+							<label>
+								TO{" "}
+								<input
+									type="date"
+									className="date-input"
+									value={dateTo}
+									max={
+										calendar.length > 0 ? `${calendar[calendar.length - 1].year}-12-31` : undefined
+									}
+									onChange={(e) => setDateTo(e.target.value)}
+								/>
+							</label>
+							<select
+								className="date-input"
+								value={selectedMonth}
+								onChange={(e) => setSelectedMonth(e.target.value)}
+							>
+								<option value="">ANY MONTH</option>
+								{MONTHS.map((month, i) => (
+									<option key={month} value={String(i + 1)}>
+										{month}
+									</option>
+								))}
+							</select>
+							{WEEKDAYS.map((day, i) => (
+								<div
+									key={day}
+									className={`timeline-chip weekday-chip ${
+										selectedWeekdays.includes(i) ? "active" : ""
+									}`}
+									onClick={() =>
+										setSelectedWeekdays((prev) =>
+											prev.includes(i) ? prev.filter((d) => d !== i) : [...prev, i]
+										)
+									}
+								>
+									{day}
+								</div>
+							))}
+						</div>
+					)}
 				</div>
 
 				<div className="tabs">
@@ -486,9 +2326,73 @@ function App() {
 					>
 						{showDrops
 							? `FOUND ${results.length} DROPS`
-							: `FOUND ${results.length}${hasMore ? "+" : ""} SEGMENTS IN ${(
-									searchTime / 1000
-							  ).toFixed(2)}s`}
+							: `FOUND ${
+									!totals
+										? `${results.length} ${
+												showNotes ? "SHOW NOTES" : groupByShow ? "SHOWS" : "SEGMENTS"
+										  }`
+										: showNotes
+										? `${totals.hits.toLocaleString()} SHOW NOTES`
+										: groupByShow
+										? `${totals.shows.toLocaleString()} SHOWS (${totals.hits.toLocaleString()} HITS)`
+										: `${totals.hits.toLocaleString()} HITS IN ${totals.shows.toLocaleString()} ${
+												totals.shows === 1 ? "SHOW" : "SHOWS"
+										  }`
+							  } IN ${(searchTime / 1000).toFixed(2)}s`}
+						{!showDrops && !showNotes && (
+							<span className="view-toggle">
+								<button
+									className={`view-toggle-button ${!groupByShow ? "active" : ""}`}
+									onClick={() => setGroupByShow(false)}
+									title="One card per matching segment"
+								>
+									SEGMENTS
+								</button>
+								<button
+									className={`view-toggle-button ${groupByShow ? "active" : ""}`}
+									onClick={() => setGroupByShow(true)}
+									title="One card per show, ranked by how often it matches"
+								>
+									SHOWS
+								</button>
+							</span>
+						)}
+						{!showDrops && !showNotes && !groupByShow && (
+							<span className="view-toggle">
+								<button
+									className={`view-toggle-button ${!blendFuzzy ? "active" : ""}`}
+									onClick={() => setBlendFuzzy(false)}
+									title="Exact matches, with fuzzy ones only when there are none"
+								>
+									EXACT
+								</button>
+								<button
+									className={`view-toggle-button ${blendFuzzy ? "active" : ""}`}
+									onClick={() => setBlendFuzzy(true)}
+									title="Rank near-miss spellings alongside the exact matches"
+								>
+									+ FUZZY
+								</button>
+							</span>
+						)}
+						{!showDrops && !showNotes && (
+							<span className="view-toggle">
+								<button
+									className={`view-toggle-button ${showTrends ? "active" : ""}`}
+									onClick={() => setShowTrends(!showTrends)}
+									title="When was this talked about?"
+								>
+									TREND
+								</button>
+							</span>
+						)}
+						{!showDrops && totals && totals.hits > 0 && (
+							<ExportMenu
+								href={exportHref}
+								formats={SEARCH_EXPORTS}
+								title="Download every hit of this search"
+							/>
+						)}
 					</div>
 				)}
 
@@ -527,7 +2431,63 @@ function App() {
 							</div>
 						)}
 
+						{showTrends && trend && !loading && (
+							<div className="trend-panel">
+								<div className="trend-controls">
+									<span className="view-toggle">
+										{TREND_INTERVALS.map((interval) => (
+											<button
+												key={interval}
+												className={`view-toggle-button ${
+													trendInterval === interval ? "active" : ""
+												}`}
+												onClick={() => setTrendInterval(interval)}
+											>
+												{interval.toUpperCase()}
+											</button>
+										))}
+									</span>
+									<span className="view-toggle">
+										<button
+											className={`view-toggle-button ${trendNormalize ? "active" : ""}`}
+											onClick={() => setTrendNormalize(!trendNormalize)}
+											title="Hits per 1,000 segments, so years with more tape don't dominate"
+										>
+											PER 1K SEGMENTS
+										</button>
+									</span>
+									{trend.match === "fuzzy" && <span className="match-badge">FUZZY</span>}
+								</div>
+								{trend.buckets.length > 0 ? (
+									<TrendChart trend={trend} onSelect={applyTrendPeriod} />
+								) : (
+									<div className="trend-empty">NO HITS TO PLOT</div>
+								)}
+							</div>
+						)}
+
 						<div className="results-grid">
+							{!loading && !showDrops && suggestions.length > 0 && (
+								<div className="did-you-mean">
+									DID YOU MEAN:{" "}
+									{suggestions.map((suggestion, i) => (
+										<span key={suggestion.query}>
+											{i > 0 && " · "}
+											<button
+												className="suggestion-link"
+												onClick={() => setQuery(suggestion.query)}
+											>
+												{suggestion.query}
+											</button>
+											{suggestion.corrections.length === 1 &&
+												` (${suggestion.corrections[0].hits.toLocaleString()} ${
+													suggestion.corrections[0].hits === 1 ? "hit" : "hits"
+												})`}
+										</span>
+									))}
+								</div>
+							)}
+
 							{showDrops ? (
 								<div className="shows-grid">
 									{results.map((item, idx) => (
@@ -575,11 +2535,43 @@ function App() {
 								</div>
 							) : (
 								results.map((item, idx) => (
-									<div key={item.id || idx} className="result-card">
+									<div
+										key={item.id || idx}
+										className={`result-card ${item.match === "fuzzy" ? "fuzzy" : ""}`}
+									>
 										<div className="result-header">
 											<span className="result-date">
 												<Radio size={14} style={{ display: "inline", marginRight: "5px" }} />
 												{formatTitle(item)}
+												{item.match === "fuzzy" && (
+													<span
+														className="match-badge"
+														title="Near-miss spelling, not an exact match"
+													>
+														FUZZY
+													</span>
+												)}
+												{item.snippets && (
+													<span className="result-score">
+														{" "}
+														· {item.hits} {item.hits === 1 ? "HIT" : "HITS"}
+														{item.first_timestamp &&
+															(item.first_link ? (
+																<a
+																	href={item.first_link}
+																	target="_blank"
+																	rel="noopener noreferrer"
+																	className="first-hit-link"
+																	title="Jump to the first hit"
+																>
+																	{" "}
+																	· FIRST AT {item.first_timestamp.split(".")[0]}
+																</a>
+															) : (
+																` · FIRST AT ${item.first_timestamp.split(".")[0]}`
+															))}
+													</span>
+												)}
 											</span>
 											{item.type === "drop" ? (
 												<div style={{ display: "flex", gap: "8px" }}>
@@ -622,15 +2614,18 @@ function App() {
 													</a>
 												</div>
 											) : (
-												item.youtube_url && (
+												<div style={{ display: "flex", gap: "8px" }}>
 													<a
-														href={item.youtube_url}
-														target="_blank"
-														rel="noopener noreferrer"
+														href={readerUrl(
+															item,
+															item.type === "notes" ? null : item.line ?? item.first_line,
+															item.type === "notes" ? "" : query
+														)}
+														onClick={followLink}
 														className="youtube-link"
-														title="Play on YouTube"
+														title="Read the full transcript"
 													>
-														<YouTubeIcon size={16} style={{ marginRight: "4px" }} />
+														<BookOpen size={16} style={{ marginRight: "4px" }} />
 														<span
 															style={{
 																fontSize: "0.7rem",
@@ -638,10 +2633,86 @@ function App() {
 																fontFamily: "var(--font-mono)",
 															}}
 														>
-															PLAY
+															READ
 														</span>
 													</a>
-												)
+													{item.line !== undefined && !item.snippets && item.type !== "notes" && (
+														<button
+															onClick={() => setFixing(fixing === item.id ? null : item.id)}
+															className="youtube-link"
+															style={{
+																cursor: "pointer",
+																border: "none",
+																background: "transparent",
+															}}
+															title="Suggest a fix for this segment"
+														>
+															<Pencil size={16} style={{ marginRight: "4px" }} />
+															<span
+																style={{
+																	fontSize: "0.7rem",
+																	fontWeight: "bold",
+																	fontFamily: "var(--font-mono)",
+																}}
+															>
+																FIX
+															</span>
+														</button>
+													)}
+													{user &&
+														item.line !== undefined &&
+														!item.snippets &&
+														item.type !== "notes" && (
+															<button
+																onClick={() => saveClip(item)}
+																disabled={!!savedClips[item.id] && savedClips[item.id] !== "error"}
+																className="youtube-link"
+																style={{
+																	cursor: "pointer",
+																	border: "none",
+																	background: "transparent",
+																}}
+																title="Save this segment to your clips"
+															>
+																<Bookmark
+																	size={16}
+																	style={{ marginRight: "4px" }}
+																	fill={savedClips[item.id] === "saved" ? "currentColor" : "none"}
+																/>
+																<span
+																	style={{
+																		fontSize: "0.7rem",
+																		fontWeight: "bold",
+																		fontFamily: "var(--font-mono)",
+																	}}
+																>
+																	{{ saving: "SAVING", saved: "SAVED", error: "RETRY" }[
+																		savedClips[item.id]
+																	] || "SAVE"}
+																</span>
+															</button>
+														)}
+													{item.youtube_url && (
+														<a
+															href={item.youtube_url}
+															target="_blank"
+															rel="noopener noreferrer"
+															className="youtube-link"
+															title="Play on YouTube"
+														>
+															<YouTubeIcon size={16} style={{ marginRight: "4px" }} />
+															<span
+																style={{
+																	fontSize: "0.7rem",
+																	fontWeight: "bold",
+																	fontFamily: "var(--font-mono)",
+																}}
+															>
+																PLAY
+															</span>
+														</a>
+													)}
+												</div>
 											)}
 										</div>
 										<div className="result-content">
@@ -660,25 +2731,77 @@ function App() {
 														<strong>Duration:</strong> {item.duration}
 													</div>
 												</>
+											) : item.snippets ? (
+												item.snippets.map((hit) => (
+													<div key={hit.id} className="show-snippet">
+														{highlightText(hit.snippet || "", query, hit.timestamp_links)}
+													</div>
+												))
 											) : (
-												highlightText(item.snippet || item.text || "", query, item.youtube_url)
+												highlightText(
+													item.snippet || item.text || "",
+													// Fuzzy hits also light up the words that stood in for the query
+													item.matched_words ? `${query} ${item.matched_words.join(" ")}` : query,
+													item.timestamp_links
+												)
 											)}
 										</div>
+										{fixing === item.id && (
+											<CorrectionForm
+												date={item.date}
+												type={item.type}
+												line={item.line}
+												text={segmentText(item)}
+												onClose={() => setFixing(null)}
+											/>
+										)}
 									</div>
 								))
 							)}
 
-							{!loading && query && results.length === 0 && (
+							{!loading && queryError && (
+								<div className="query-error">
+									{queryError.message || queryError.error}
+									{queryError.position !== undefined && (
+										<div className="query-error-position">
+											{query.trim()}
+											<br />
+											{" ".repeat(queryError.position)}^
+										</div>
+									)}
+								</div>
+							)}
+
+							{!loading && query && !queryError && results.length === 0 && (
 								<div style={{ textAlign: "center", padding: "2rem", color: "var(--text-dim)" }}>
 									NO RESULTS FOUND
 								</div>
 							)}
 
-							{hasMore && !loading && !showDrops && (
-								<button onClick={loadMore} className="load-more-btn">
-									Load More Transcripts
-								</button>
+							{nextCursor && !loading && !showDrops && (
+								<div ref={sentinelRef} className="load-more-sentinel">
+									{loadingMore ? (
+										<div className="loading-indicator">LOADING MORE...</div>
+									) : (
+										<button onClick={loadMore} className="load-more-btn">
+											Load More Transcripts
+										</button>
+									)}
+								</div>
 							)}
+
+							{/* Blended ranking is a single page of the best hits */}
+							{blendFuzzy &&
+								!groupByShow &&
+								!showNotes &&
+								!loading &&
+								totals &&
+								results.length < totals.hits && (
+									<div style={{ textAlign: "center", padding: "2rem", color: "var(--text-dim)" }}>
+										+ FUZZY SHOWS THE BEST {results.length.toLocaleString()} OF{" "}
+										{totals.hits.toLocaleString()} HITS. TURN IT OFF TO PAGE THROUGH THEM ALL.
+									</div>
+								)}
 						</div>
 					</>
 				) : (
@@ -705,7 +2828,14 @@ function App() {
 									<div key={idx} className="show-item">
 										<div className="show-item-info">
 											<Radio size={14} className="show-icon" />
-											<span className="show-item-title">{formatTitle(show)}</span>
+											<div className="show-item-text">
+												<span className="show-item-title">{formatTitle(show)}</span>
+												{(show.notes || show.info) && (
+													<span className="show-item-notes">
+														{[show.notes, show.info].filter(Boolean).join(" — ")}
+													</span>
+												)}
+											</div>
 											{show.type === "drop" && show.artist && (
 												<span
 													className="show-item-title"
@@ -742,18 +2872,31 @@ function App() {
 													<span style={{ fontSize: "0.7rem" }}>DOWNLOAD</span>
 												</a>
 											</div>
-										) : show.youtube_url ? (
-											<a
-												href={show.youtube_url}
-												target="_blank"
-												rel="noopener noreferrer"
-												className="youtube-link"
-												title="Play on YouTube"
-											>
-												<YouTubeIcon size={16} style={{ marginRight: "4px" }} />
-												<span style={{ fontSize: "0.7rem" }}>PLAY</span>
-											</a>
-										) : null}
+										) : (
+											<div style={{ display: "flex", gap: "8px" }}>
+												<a
+													href={readerUrl(show, null, "")}
+													onClick={followLink}
+													className="youtube-link"
+													title="Read the full transcript"
+												>
+													<BookOpen size={16} style={{ marginRight: "4px" }} />
+													<span style={{ fontSize: "0.7rem" }}>READ</span>
+												</a>
+												{show.youtube_url && (
+													<a
+														href={show.youtube_url}
+														target="_blank"
+														rel="noopener noreferrer"
+														className="youtube-link"
+														title="Play on YouTube"
+													>
+														<YouTubeIcon size={16} style={{ marginRight: "4px" }} />
+														<span style={{ fontSize: "0.7rem" }}>PLAY</span>
+													</a>
+												)}
+											</div>
+										)}
 									</div>
 								))}
 							</div>
@@ -0,0 +1,138 @@
+// Local user accounts and their sessions. Passwords are hashed with scrypt. A session is a
+// random token kept in an HttpOnly cookie; only its SHA-256 is stored, so the database alone
+// can't be used to log in.
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = "nrs_session";
+const SESSION_DAYS = 30;
+const USERNAME = /^[a-z0-9_.-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+class AccountError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "AccountError";
+	}
+}
+
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(16);
+	const key = await scrypt(password, salt, 64);
+	return `scrypt$${salt.toString("base64")}$${key.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+	const [scheme, salt, key] = stored.split("$");
+	if (scheme !== "scrypt") return false;
+	const expected = Buffer.from(key, "base64");
+	const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+	return crypto.timingSafeEqual(expected, actual);
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function readCredentials(body) {
+	const username = body && typeof body.username === "string" ? body.username.trim() : "";
+	const password = body && typeof body.password === "string" ? body.password : "";
+	if (!USERNAME.test(username)) {
+		throw new AccountError("Usernames are 3 to 32 letters, digits, dots, dashes or underscores");
+	}
+	if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+		throw new AccountError(
+			`Passwords are ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long`
+		);
+	}
+	return { username, password };
+}
+
+function createAccounts(db) {
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS sessions_user ON sessions (user_id);
+  `);
+
+	const selectUser = db.prepare("SELECT id, username, created_at FROM users WHERE id = ?");
+	const selectLogin = db.prepare("SELECT * FROM users WHERE username = ?");
+	const insertUser = db.prepare(
+		"INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)"
+	);
+	const insertSession = db.prepare(
+		"INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)"
+	);
+	const selectSession = db.prepare(
+		"SELECT user_id FROM sessions WHERE token_hash = ? AND expires_at > ?"
+	);
+	const deleteSession = db.prepare("DELETE FROM sessions WHERE token_hash = ?");
+	const deleteExpired = db.prepare("DELETE FROM sessions WHERE expires_at <= ?");
+
+	// Compared against when the username doesn't exist, so a login takes as long either way
+	const dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+	const startSession = (userId) => {
+		const now = new Date();
+		const token = crypto.randomBytes(32).toString("base64url");
+		const expires = new Date(now.getTime() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+		deleteExpired.run(now.toISOString());
+		insertSession.run(hashToken(token), userId, now.toISOString(), expires.toISOString());
+		return token;
+	};
+
+	return {
+		/**
+		 * New account, logged in: { user, token }, or null if the username is taken.
+		 * Throws AccountError on a bad username or password.
+		 */
+		async register(body) {
+			const { username, password } = readCredentials(body);
+			if (selectLogin.get(username)) return null;
+			const passwordHash = await hashPassword(password);
+			let id;
+			try {
+				id = insertUser.run(username, passwordHash, new Date().toISOString()).lastInsertRowid;
+			} catch (err) {
+				// Taken while the password was hashing
+				if (err.code === "SQLITE_CONSTRAINT_UNIQUE") return null;
+				throw err;
+			}
+			return { user: selectUser.get(id), token: startSession(id) };
+		},
+
+		// { user, token }, or null for a wrong username or password
+		async login(body) {
+			const username = body && typeof body.username === "string" ? body.username.trim() : "";
+			const password = body && typeof body.password === "string" ? body.password : "";
+			const row = username ? selectLogin.get(username) : null;
+			const ok = await verifyPassword(password, row ? row.password_hash : await dummyHash);
+			if (!row || !ok) return null;
+			return { user: selectUser.get(row.id), token: startSession(row.id) };
+		},
+
+		// The user a session token belongs to, or null once it has expired
+		userForSession(token) {
+			if (!token) return null;
+			const session = selectSession.get(hashToken(token), new Date().toISOString());
+			return session ? selectUser.get(session.user_id) || null : null;
+		},
+
+		logout(token) {
+			if (token) deleteSession.run(hashToken(token));
+		},
+	};
+}
+
+module.exports = { SESSION_COOKIE, SESSION_DAYS, AccountError, createAccounts };
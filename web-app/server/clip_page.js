@@ -0,0 +1,88 @@
+// Link previews for clip pages. The app itself renders /clip/:date in the browser, but
+// crawlers only read the HTML, so the server fills in the clip's title, quote and card image.
+const MONTH_NAMES = [
+	"January",
+	"February",
+	"March",
+	"April",
+	"May",
+	"June",
+	"July",
+	"August",
+	"September",
+	"October",
+	"November",
+	"December",
+];
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const escapeHtml = (text) =>
+	String(text).replace(
+		/[&<>"']/g,
+		(c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c])
+	);
+
+// A show's title the way the client's formatTitle writes it
+function showTitle(show) {
+	const [year, month, day] = show.date.split("-").map(Number);
+	const date = `${MONTH_NAMES[month - 1]} ${day}, ${year}`;
+	if (show.custom_title) {
+		return show.type === "best_of" ? show.custom_title : `${show.custom_title} (${date})`;
+	}
+	return `Neil Rogers Show (${date})${show.host ? ` hosted by ${show.host}` : ""}`;
+}
+
+// The clip's segments as one run of text
+const clipQuote = (segments) =>
+	segments
+		.map((segment) => segment.text.replace(/\s+/g, " ").trim())
+		.filter(Boolean)
+		.join(" ");
+
+/**
+ * The app's index.html with its site-wide title and Open Graph / Twitter tags replaced by the
+ * clip's. `clip` is what /api/clip returns; `urls` are absolute { page, image }.
+ */
+function clipPageHtml(html, clip, urls) {
+	const quote = clipQuote(clip.segments);
+	const description =
+		quote.length > MAX_DESCRIPTION_LENGTH
+			? `${quote.slice(0, MAX_DESCRIPTION_LENGTH - 3).trimEnd()}...`
+			: quote;
+	const title = `${clip.show.title} - The Neil Rogers Archive`;
+
+	const tags = [
+		["name", "description", description],
+		["property", "og:type", "article"],
+		["property", "og:site_name", "The Neil Rogers Archive"],
+		["property", "og:title", title],
+		["property", "og:description", description],
+		["property", "og:url", urls.page],
+		["property", "og:image", urls.image],
+		["property", "og:image:width", "1200"],
+		["property", "og:image:height", "630"],
+		["property", "og:image:alt", `"${description}"`],
+		["name", "twitter:card", "summary_large_image"],
+		["name", "twitter:title", title],
+		["name", "twitter:description", description],
+		["name", "twitter:image", urls.image],
+	];
+
+	return html
+		.replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`)
+		.replace(
+			/\s*<meta (?:name|property)="(?:title|description|og:[\w:]+|twitter:[\w:]+)"[^>]*>/g,
+			""
+		)
+		.replace(
+			/\s*<\/head>/,
+			`\n${tags
+				.map(
+					([attr, key, value]) => `    <meta ${attr}="${key}" content="${escapeHtml(value)}" />\n`
+				)
+				.join("")}  </head>`
+		);
+}
+
+module.exports = { showTitle, clipQuote, clipPageHtml };
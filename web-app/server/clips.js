@@ -0,0 +1,235 @@
+// Saved clips and collections. A clip is a run of segments from one show, from the segment
+// starting at `start_line` to the one starting at `end_line`, with the user's note. Clips are
+// grouped into named collections, which can be made public and shared by their id.
+const crypto = require("crypto");
+
+const MAX_NOTE_LENGTH = 500;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+class ClipError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "ClipError";
+	}
+}
+
+// Collapse whitespace and check the length of an optional free-text field
+function readText(value, field, maxLength) {
+	if (value === undefined || value === null) return null;
+	if (typeof value !== "string") throw new ClipError(`${field} must be a string`);
+	const text = value.replace(/\s+/g, " ").trim();
+	if (text.length > maxLength)
+		throw new ClipError(`${field} must be at most ${maxLength} characters`);
+	return text || null;
+}
+
+function readPublic(value) {
+	if (value === undefined) return undefined;
+	if (typeof value !== "boolean") throw new ClipError("public must be true or false");
+	return value ? 1 : 0;
+}
+
+// Collections are addressed by an id that is unguessable, since it is also the share link
+const newCollectionId = () => crypto.randomBytes(9).toString("base64url");
+
+function createClips(db) {
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS clips (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      file TEXT NOT NULL,
+      date TEXT NOT NULL,
+      type TEXT NOT NULL,
+      start_line INTEGER NOT NULL,
+      end_line INTEGER NOT NULL,
+      note TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS clips_user ON clips (user_id, id);
+    CREATE TABLE IF NOT EXISTS collections (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      public INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS collections_user ON collections (user_id, created_at);
+    CREATE TABLE IF NOT EXISTS collection_clips (
+      collection_id TEXT NOT NULL,
+      clip_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      PRIMARY KEY (collection_id, clip_id)
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS collection_clips_clip ON collection_clips (clip_id);
+  `);
+
+	const selectClip = db.prepare("SELECT * FROM clips WHERE id = ?");
+	const selectCollection = db.prepare(
+		`SELECT c.*, u.username as owner,
+            (SELECT COUNT(*) FROM collection_clips cc WHERE cc.collection_id = c.id) as clip_count
+     FROM collections c JOIN users u ON u.id = c.user_id
+     WHERE c.id = ?`
+	);
+	// Owned by `userId`, or undefined
+	const ownClip = (userId, id) => {
+		const clip = selectClip.get(id);
+		return clip && clip.user_id === userId ? clip : undefined;
+	};
+	const ownCollection = (userId, id) => {
+		const collection = selectCollection.get(id);
+		return collection && collection.user_id === userId ? collection : undefined;
+	};
+
+	return {
+		/**
+		 * Save a clip for `userId`. `segment` is { file, date, type, start_line, end_line },
+		 * already checked against the transcript. Throws ClipError on a bad note.
+		 */
+		createClip(userId, segment, note) {
+			const { lastInsertRowid } = db
+				.prepare(
+					`INSERT INTO clips (user_id, file, date, type, start_line, end_line, note, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+				)
+				.run(
+					userId,
+					segment.file,
+					segment.date,
+					segment.type,
+					segment.start_line,
+					segment.end_line,
+					readText(note, "note", MAX_NOTE_LENGTH),
+					new Date().toISOString()
+				);
+			return selectClip.get(lastInsertRowid);
+		},
+
+		// Newest first, each with the ids of the user's collections it is in
+		listClips(userId) {
+			return db
+				.prepare(
+					`SELECT c.*, (
+             SELECT json_group_array(cc.collection_id) FROM collection_clips cc WHERE cc.clip_id = c.id
+           ) as collections
+           FROM clips c WHERE c.user_id = ? ORDER BY c.id DESC`
+				)
+				.all(userId)
+				.map((clip) => ({ ...clip, collections: JSON.parse(clip.collections) }));
+		},
+
+		// The updated clip, or null if it isn't the user's
+		updateClip(userId, id, body) {
+			if (!ownClip(userId, id)) return null;
+			const note = readText(body && body.note, "note", MAX_NOTE_LENGTH);
+			db.prepare("UPDATE clips SET note = ? WHERE id = ?").run(note, id);
+			return selectClip.get(id);
+		},
+
+		deleteClip(userId, id) {
+			if (!ownClip(userId, id)) return false;
+			db.transaction(() => {
+				db.prepare("DELETE FROM collection_clips WHERE clip_id = ?").run(id);
+				db.prepare("DELETE FROM clips WHERE id = ?").run(id);
+			})();
+			return true;
+		},
+
+		// Throws ClipError on a missing name or bad fields
+		createCollection(userId, body) {
+			const name = readText(body && body.name, "name", MAX_NAME_LENGTH);
+			if (!name) throw new ClipError("name is required");
+			const description = readText(body.description, "description", MAX_DESCRIPTION_LENGTH);
+			const isPublic = readPublic(body.public) || 0;
+			const id = newCollectionId();
+			const now = new Date().toISOString();
+			db.prepare(
+				`INSERT INTO collections (id, user_id, name, description, public, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+			).run(id, userId, name, description, isPublic, now, now);
+			return selectCollection.get(id);
+		},
+
+		listCollections(userId) {
+			return db
+				.prepare(
+					`SELECT c.*, (
+             SELECT COUNT(*) FROM collection_clips cc WHERE cc.collection_id = c.id
+           ) as clip_count
+           FROM collections c WHERE c.user_id = ? ORDER BY c.created_at DESC`
+				)
+				.all(userId);
+		},
+
+		// With its owner's username and clip count, or undefined
+		getCollection(id) {
+			return selectCollection.get(id);
+		},
+
+		// Changes only the fields given. The updated collection, or null if it isn't the user's.
+		updateCollection(userId, id, body) {
+			const collection = ownCollection(userId, id);
+			if (!collection) return null;
+			const changes = {
+				name:
+					body.name !== undefined ? readText(body.name, "name", MAX_NAME_LENGTH) : collection.name,
+				description:
+					body.description !== undefined
+						? readText(body.description, "description", MAX_DESCRIPTION_LENGTH)
+						: collection.description,
+				public: body.public !== undefined ? readPublic(body.public) : collection.public,
+			};
+			if (!changes.name) throw new ClipError("name is required");
+			db.prepare(
+				"UPDATE collections SET name = ?, description = ?, public = ?, updated_at = ? WHERE id = ?"
+			).run(changes.name, changes.description, changes.public, new Date().toISOString(), id);
+			return selectCollection.get(id);
+		},
+
+		deleteCollection(userId, id) {
+			if (!ownCollection(userId, id)) return false;
+			db.transaction(() => {
+				db.prepare("DELETE FROM collection_clips WHERE collection_id = ?").run(id);
+				db.prepare("DELETE FROM collections WHERE id = ?").run(id);
+			})();
+			return true;
+		},
+
+		// Appends the clip. False unless the user owns both.
+		addToCollection(userId, collectionId, clipId) {
+			if (!ownCollection(userId, collectionId) || !ownClip(userId, clipId)) return false;
+			db.prepare(
+				`INSERT OR IGNORE INTO collection_clips (collection_id, clip_id, position)
+         SELECT ?, ?, COALESCE(MAX(position), -1) + 1 FROM collection_clips WHERE collection_id = ?`
+			).run(collectionId, clipId, collectionId);
+			db.prepare("UPDATE collections SET updated_at = ? WHERE id = ?").run(
+				new Date().toISOString(),
+				collectionId
+			);
+			return true;
+		},
+
+		removeFromCollection(userId, collectionId, clipId) {
+			if (!ownCollection(userId, collectionId)) return false;
+			return (
+				db
+					.prepare("DELETE FROM collection_clips WHERE collection_id = ? AND clip_id = ?")
+					.run(collectionId, clipId).changes > 0
+			);
+		},
+
+		// A collection's clips in the order they were added
+		collectionClips(collectionId) {
+			return db
+				.prepare(
+					`SELECT c.* FROM collection_clips cc JOIN clips c ON c.id = cc.clip_id
+           WHERE cc.collection_id = ? ORDER BY cc.position`
+				)
+				.all(collectionId);
+		},
+	};
+}
+
+module.exports = { ClipError, createClips };
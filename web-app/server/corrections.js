@@ -0,0 +1,245 @@
+// Community corrections to transcript segments. Anyone can propose new text for a segment;
+// proposals wait in a moderation queue until an admin approves or rejects them. The files are
+// never edited: approved corrections are an overlay applied whenever a transcript is read, for
+// indexing as well as for snippets, the reader and exports.
+//
+// A correction remembers the segment's text in the file it was proposed against. If the file
+// changes underneath it, the correction stops applying rather than overwrite the new text.
+const MAX_TEXT_LENGTH = 2000;
+const MAX_NOTE_LENGTH = 500;
+const MAX_NAME_LENGTH = 80;
+const STATUSES = ["pending", "approved", "rejected", "superseded"];
+
+const isHeader = (text) => text.startsWith("[") && text.includes("-->");
+const BEST_OF_LINE = /^(\d{1,2}:\d{2}(?::\d{2})?)\s+(.*)/;
+
+class CorrectionError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "CorrectionError";
+	}
+}
+
+/**
+ * The segment starting at `line` of a transcript's lines, split the way the indexer splits
+ * them: { textLines, text }, plus the timestamp of a Best Of line. Null if no segment starts
+ * there.
+ */
+function locateSegment(lines, line, type) {
+	const first = lines[line];
+	if (first === undefined) return null;
+
+	if (type === "best_of") {
+		// The first two lines are the collection's title and link
+		const match = line >= 2 && first.trim().match(BEST_OF_LINE);
+		return match ? { textLines: [line], text: match[2].trim(), timestamp: match[1] } : null;
+	}
+
+	if (!isHeader(first.trim())) return null;
+	const textLines = [];
+	for (let j = line + 1; j < lines.length; j++) {
+		const text = lines[j].trim();
+		if (isHeader(text)) break;
+		if (text) textLines.push(j);
+	}
+	return { textLines, text: textLines.map((j) => lines[j].trim()).join(" ") };
+}
+
+/**
+ * `content` with approved corrections ({ line, original, proposed }) applied. Line numbers
+ * never move: the new text goes on the segment's first text line and the rest are blanked,
+ * which the indexer skips.
+ */
+function applyCorrections(content, type, corrections) {
+	if (corrections.length === 0) return content;
+	const lines = content.split("\n");
+	const lineEnd = (j) => (lines[j].endsWith("\r") ? "\r" : "");
+
+	for (const correction of corrections) {
+		const segment = locateSegment(lines, correction.line, type);
+		if (!segment || segment.textLines.length === 0 || segment.text !== correction.original) {
+			continue;
+		}
+		const [first, ...rest] = segment.textLines;
+		const text =
+			type === "best_of" ? `${segment.timestamp} ${correction.proposed}` : correction.proposed;
+		lines[first] = text + lineEnd(first);
+		for (const j of rest) lines[j] = lineEnd(j);
+	}
+	return lines.join("\n");
+}
+
+// Word-level diff as [{ op: "=" | "-" | "+", text }], for reviewing a proposal
+function diffWords(before, after) {
+	const a = before.split(/\s+/).filter(Boolean);
+	const b = after.split(/\s+/).filter(Boolean);
+
+	// lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+	const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	const ops = [];
+	const push = (op, word) => {
+		const last = ops[ops.length - 1];
+		if (last && last.op === op) last.text += ` ${word}`;
+		else ops.push({ op, text: word });
+	};
+	let i = 0;
+	let j = 0;
+	while (i < a.length && j < b.length) {
+		if (a[i] === b[j]) {
+			push("=", a[i]);
+			i++;
+			j++;
+		} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+			push("-", a[i++]);
+		} else {
+			push("+", b[j++]);
+		}
+	}
+	while (i < a.length) push("-", a[i++]);
+	while (j < b.length) push("+", b[j++]);
+	return ops;
+}
+
+// Collapse whitespace and check the length of an optional free-text field
+function readText(value, field, maxLength) {
+	if (value === undefined || value === null) return null;
+	if (typeof value !== "string") throw new CorrectionError(`${field} must be a string`);
+	const text = value.replace(/\s+/g, " ").trim();
+	if (text.length > maxLength) {
+		throw new CorrectionError(`${field} must be at most ${maxLength} characters`);
+	}
+	return text || null;
+}
+
+function createCorrections(db) {
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS corrections (
+      id INTEGER PRIMARY KEY,
+      file TEXT NOT NULL,
+      type TEXT NOT NULL,
+      date TEXT NOT NULL,
+      line INTEGER NOT NULL,
+      original TEXT NOT NULL,
+      proposed TEXT NOT NULL,
+      note TEXT,
+      submitted_by TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at TEXT NOT NULL,
+      reviewed_at TEXT,
+      review_note TEXT
+    );
+    CREATE INDEX IF NOT EXISTS corrections_status ON corrections (status, id);
+    CREATE INDEX IF NOT EXISTS corrections_file ON corrections (file, status, line);
+  `);
+
+	const selectOne = db.prepare("SELECT * FROM corrections WHERE id = ?");
+	const selectApplied = db.prepare(
+		`SELECT line, original, proposed, reviewed_at FROM corrections
+     WHERE file = ? AND status = 'approved' ORDER BY line`
+	);
+	const selectDuplicate = db.prepare(
+		`SELECT * FROM corrections
+     WHERE file = ? AND line = ? AND proposed = ? AND status = 'pending'`
+	);
+	const insert = db.prepare(`
+    INSERT INTO corrections (file, type, date, line, original, proposed, note, submitted_by, created_at)
+    VALUES (@file, @type, @date, @line, @original, @proposed, @note, @submitted_by, @created_at)
+  `);
+	const review = db.prepare(
+		`UPDATE corrections SET status = ?, reviewed_at = ?, review_note = ?
+     WHERE id = ? AND status = 'pending'`
+	);
+	const supersede = db.prepare(
+		`UPDATE corrections SET status = 'superseded'
+     WHERE file = ? AND line = ? AND status = 'approved'`
+	);
+
+	return {
+		/**
+		 * Queue new text for a segment. `segment` is { file, type, date, line, original, current }:
+		 * its text in the file and as currently shown, with earlier corrections applied.
+		 * Returns { correction, created }; an identical pending proposal is returned as is.
+		 * Throws CorrectionError on bad input.
+		 */
+		propose(segment, body) {
+			const proposed = readText(body && body.text, "text", MAX_TEXT_LENGTH);
+			if (!proposed) throw new CorrectionError("text is required");
+			// It would read as the start of a new segment
+			if (proposed.includes("-->")) throw new CorrectionError("text can't contain -->");
+			if (proposed === segment.current) {
+				throw new CorrectionError("text is the same as the current transcript");
+			}
+			const note = readText(body.note, "note", MAX_NOTE_LENGTH);
+			const name = readText(body.name, "name", MAX_NAME_LENGTH);
+
+			const existing = selectDuplicate.get(segment.file, segment.line, proposed);
+			if (existing) return { correction: existing, created: false };
+
+			const { lastInsertRowid } = insert.run({
+				file: segment.file,
+				type: segment.type,
+				date: segment.date,
+				line: segment.line,
+				original: segment.original,
+				proposed,
+				note,
+				submitted_by: name,
+				created_at: new Date().toISOString(),
+			});
+			return { correction: selectOne.get(lastInsertRowid), created: true };
+		},
+
+		get(id) {
+			return selectOne.get(id);
+		},
+
+		// Newest first; `status` narrows it to one state
+		list({ status, limit = 100 } = {}) {
+			if (status && !STATUSES.includes(status)) {
+				throw new CorrectionError(`status must be one of ${STATUSES.join(", ")}`);
+			}
+			const where = status ? "WHERE status = ?" : "";
+			return db
+				.prepare(`SELECT * FROM corrections ${where} ORDER BY id DESC LIMIT ?`)
+				.all(...(status ? [status] : []), limit);
+		},
+
+		// The approved corrections of one file, for applyCorrections
+		applied(file) {
+			return selectApplied.all(file);
+		},
+
+		// Both take the reviewer's optional note and return the updated correction, or null if
+		// it wasn't pending. An approval replaces any earlier approved text for the segment.
+		approve(id, note) {
+			const reviewNote = readText(note, "note", MAX_NOTE_LENGTH);
+			return db.transaction(() => {
+				const correction = selectOne.get(id);
+				if (!correction || correction.status !== "pending") return null;
+				supersede.run(correction.file, correction.line);
+				review.run("approved", new Date().toISOString(), reviewNote, id);
+				return selectOne.get(id);
+			})();
+		},
+
+		reject(id, note) {
+			const reviewNote = readText(note, "note", MAX_NOTE_LENGTH);
+			const { changes } = review.run("rejected", new Date().toISOString(), reviewNote, id);
+			return changes > 0 ? selectOne.get(id) : null;
+		},
+	};
+}
+
+module.exports = {
+	CorrectionError,
+	createCorrections,
+	applyCorrections,
+	locateSegment,
+	diffWords,
+};
@@ -0,0 +1,214 @@
+const fs = require("fs");
+const path = require("path");
+
+// Default location of the show metadata spreadsheet export
+const SHOWS_CSV = path.resolve(__dirname, "nrs_shows.csv");
+
+const YOUTUBE_HOSTS = ["youtu.be", "youtube.com", "www.youtube.com", "m.youtube.com"];
+const CLYP_HOSTS = ["clyp.it", "www.clyp.it"];
+
+function createShowLinksTable(db) {
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS show_links (
+      date TEXT PRIMARY KEY,
+      youtube_url TEXT,
+      host TEXT,
+      custom_title TEXT,
+      notes TEXT,
+      info TEXT
+    );
+  `);
+
+	// Databases created before notes were imported only have the first four columns
+	const columns = db.prepare("PRAGMA table_info(show_links)").all();
+	for (const column of ["notes", "info"]) {
+		if (!columns.some((c) => c.name === column)) {
+			db.exec(`ALTER TABLE show_links ADD COLUMN ${column} TEXT`);
+		}
+	}
+
+	// Human-written show summaries, searchable as type=notes
+	db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS show_notes_fts USING fts5(
+      date UNINDEXED, notes, info, tokenize="porter"
+    );
+  `);
+}
+
+// Split one CSV record. The export has notes with stray line breaks, so every physical
+// line is treated as its own record and an unbalanced quote is reported instead of
+// swallowing the following lines.
+function parseCsvLine(line) {
+	const parts = [];
+	let current = "";
+	let inQuotes = false;
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (char === '"') {
+			if (inQuotes && line[i + 1] === '"') {
+				current += '"';
+				i++;
+			} else {
+				inQuotes = !inQuotes;
+			}
+		} else if (char === "," && !inQuotes) {
+			parts.push(current);
+			current = "";
+		} else {
+			current += char;
+		}
+	}
+	parts.push(current);
+	return { parts, unbalanced: inQuotes };
+}
+
+function isValidDate(value) {
+	const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+	if (!match) return false;
+	const [, y, m, d] = match.map(Number);
+	const date = new Date(Date.UTC(y, m - 1, d));
+	return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+// "youtube", "clyp" or null for anything we can't play or deep link into
+function classifyUrl(value) {
+	let url;
+	try {
+		url = new URL(value);
+	} catch (e) {
+		return null;
+	}
+	if (!["http:", "https:"].includes(url.protocol)) return null;
+	if (YOUTUBE_HOSTS.includes(url.hostname)) return "youtube";
+	if (CLYP_HOSTS.includes(url.hostname)) return "clyp";
+	return null;
+}
+
+const clean = (value) => (value || "").replace(/"/g, "").trim();
+
+/**
+ * Validate the rows of nrs_shows.csv.
+ * Returns the accepted links plus every rejected row with its 1-based line number and reason.
+ * When a date appears more than once the Neil Rogers Show (ShowInit "NRS") row wins,
+ * otherwise the first one does.
+ */
+function parseShowsCsv(csvData) {
+	const lines = csvData.split(/\r?\n/);
+	const rejected = [];
+	const warnings = [];
+	const byDate = new Map();
+
+	for (let i = 1; i < lines.length; i++) {
+		const lineNumber = i + 1;
+		const raw = lines[i];
+		if (!raw.trim()) continue;
+
+		const { parts, unbalanced } = parseCsvLine(raw);
+		const reject = (reason) => rejected.push({ line: lineNumber, reason, raw });
+
+		if (parts.length < 3) {
+			reject("Too few columns");
+			continue;
+		}
+
+		const [date, init, youtube, notes, info, host, custom_title] = parts;
+		const cleanDate = clean(date);
+		const cleanYoutube = clean(youtube);
+
+		if (!isValidDate(cleanDate)) {
+			reject(cleanDate ? `Invalid date "${cleanDate}"` : "Missing date");
+			continue;
+		}
+		if (!cleanYoutube) {
+			reject("Missing YouTube/clyp URL");
+			continue;
+		}
+		if (!classifyUrl(cleanYoutube)) {
+			reject(`Unsupported URL "${cleanYoutube}"`);
+			continue;
+		}
+
+		if (unbalanced) warnings.push({ line: lineNumber, reason: "Unbalanced quotes" });
+
+		let cleanHost = clean(host);
+		if (cleanHost.startsWith("http")) {
+			warnings.push({ line: lineNumber, reason: "URL in Host column ignored" });
+			cleanHost = "";
+		}
+
+		const link = {
+			line: lineNumber,
+			init: clean(init),
+			date: cleanDate,
+			youtube_url: cleanYoutube,
+			host: cleanHost,
+			custom_title: clean(custom_title),
+			// Free text, so keep its quotes and only trim
+			notes: (notes || "").trim(),
+			info: (info || "").trim(),
+		};
+
+		const existing = byDate.get(cleanDate);
+		if (!existing) {
+			byDate.set(cleanDate, link);
+		} else if (existing.init !== "NRS" && link.init === "NRS") {
+			rejected.push({
+				line: existing.line,
+				reason: `Duplicate date ${cleanDate} (NRS row on line ${lineNumber} kept)`,
+				raw: lines[existing.line - 1],
+			});
+			byDate.set(cleanDate, link);
+		} else {
+			reject(`Duplicate date ${cleanDate} (line ${existing.line} kept)`);
+		}
+	}
+
+	rejected.sort((a, b) => a.line - b.line);
+	return { links: [...byDate.values()], rejected, warnings };
+}
+
+/**
+ * Replace show_links (and the show_notes_fts index of its Notes/Info) with the valid rows of the CSV.
+ * With `dryRun` nothing is written and only the report is returned.
+ */
+function importShowLinks(db, { csvFile = SHOWS_CSV, dryRun = false } = {}) {
+	const { links, rejected, warnings } = parseShowsCsv(fs.readFileSync(csvFile, "utf8"));
+
+	if (!dryRun) {
+		createShowLinksTable(db);
+		const insertLink = db.prepare(`
+      INSERT OR REPLACE INTO show_links (date, youtube_url, host, custom_title, notes, info)
+      VALUES (@date, @youtube_url, @host, @custom_title, @notes, @info)
+    `);
+		const insertNotes = db.prepare(`
+      INSERT INTO show_notes_fts (date, notes, info) VALUES (@date, @notes, @info)
+    `);
+		db.transaction((ls) => {
+			db.exec("DELETE FROM show_links");
+			db.exec("DELETE FROM show_notes_fts");
+			for (const link of ls) {
+				insertLink.run(link);
+				if (link.notes || link.info) insertNotes.run(link);
+			}
+		})(links);
+	}
+
+	return {
+		file: csvFile,
+		dryRun,
+		imported: links.length,
+		rejectedCount: rejected.length,
+		rejected,
+		warnings,
+	};
+}
+
+module.exports = {
+	SHOWS_CSV,
+	createShowLinksTable,
+	parseCsvLine,
+	parseShowsCsv,
+	importShowLinks,
+	isValidDate,
+	classifyUrl,
+};
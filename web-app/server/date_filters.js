@@ -0,0 +1,110 @@
+// Date filters shared by /api/search and /api/shows:
+//
+//   years=1995,1999        whole years
+//   from=1995-03&to=1996   a range; YYYY, YYYY-MM or YYYY-MM-DD, `to` includes its whole period
+//   months=1,12            months of any year
+//   weekdays=mon,fri       days of the week (sun..sat or 0..6)
+//
+// Against the shows table these use its indexed generated columns (year, month, weekday).
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const PARTIAL_DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+class DateFilterError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "DateFilterError";
+	}
+}
+
+const list = (value) =>
+	value
+		? String(value)
+				.split(",")
+				.map((v) => v.trim())
+				.filter(Boolean)
+		: [];
+
+/**
+ * Read the date filters from a request's query string.
+ * Throws DateFilterError on a malformed value.
+ */
+function parseDateFilters(query) {
+	for (const key of ["from", "to"]) {
+		if (query[key] && !PARTIAL_DATE.test(query[key])) {
+			throw new DateFilterError(`${key} expects YYYY, YYYY-MM or YYYY-MM-DD`);
+		}
+	}
+
+	const years = list(query.years).map((year) => {
+		if (!/^\d{4}$/.test(year)) throw new DateFilterError(`Invalid year "${year}"`);
+		return Number(year);
+	});
+
+	const months = list(query.months).map((month) => {
+		const n = Number(month);
+		if (!Number.isInteger(n) || n < 1 || n > 12) {
+			throw new DateFilterError(`Invalid month "${month}", expected 1-12`);
+		}
+		return n;
+	});
+
+	const weekdays = list(query.weekdays).map((day) => {
+		const n = /^\d$/.test(day) ? Number(day) : WEEKDAYS.indexOf(day.toLowerCase().slice(0, 3));
+		if (n < 0 || n > 6) throw new DateFilterError(`Invalid weekday "${day}"`);
+		return n;
+	});
+
+	return { from: query.from || null, to: query.to || null, years, months, weekdays };
+}
+
+// Expressions for a bare YYYY-MM-DD column, for tables without the generated columns
+function dateColumns(date) {
+	return {
+		date,
+		year: `CAST(strftime('%Y', ${date}) AS INTEGER)`,
+		month: `CAST(strftime('%m', ${date}) AS INTEGER)`,
+		weekday: `CAST(strftime('%w', ${date}) AS INTEGER)`,
+	};
+}
+
+// Every date starting with `prefix` sorts between prefix and prefix + "~"
+const prefixRange = (column, prefix) => ({
+	sql: `(${column} >= ? AND ${column} < ?)`,
+	params: [prefix, `${prefix}~`],
+});
+
+/**
+ * SQL for parsed date filters. `columns` are the date, year, month and weekday expressions.
+ * Returns { sql, params } where sql is empty or starts with " AND ".
+ */
+function compileDateFilters(filters, columns) {
+	const clauses = [];
+	const params = [];
+	const inList = (column, values) => {
+		clauses.push(`${column} IN (${values.map(() => "?").join(", ")})`);
+		params.push(...values);
+	};
+
+	if (filters.from) {
+		clauses.push(`${columns.date} >= ?`);
+		params.push(filters.from);
+	}
+	if (filters.to) {
+		clauses.push(`${columns.date} < ?`);
+		params.push(`${filters.to}~`);
+	}
+	if (filters.years.length > 0) inList(columns.year, filters.years);
+	if (filters.months.length > 0) inList(columns.month, filters.months);
+	if (filters.weekdays.length > 0) inList(columns.weekday, filters.weekdays);
+
+	return { sql: clauses.map((c) => ` AND ${c}`).join(""), params };
+}
+
+module.exports = {
+	DateFilterError,
+	parseDateFilters,
+	compileDateFilters,
+	dateColumns,
+	prefixRange,
+};
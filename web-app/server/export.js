@@ -0,0 +1,143 @@
+// Formats for /api/export. Search hits export as CSV, JSON or Markdown, one show's transcript
+// as WebVTT, SRT or plain text. Every format is produced piece by piece so the routes can
+// stream it without holding the whole export in memory.
+const HIT_FIELDS = ["date", "title", "host", "timestamp", "deep_link", "text"];
+
+const HIT_FORMATS = {
+	csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+	json: { contentType: "application/json; charset=utf-8", extension: "json" },
+	md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+};
+
+const TRANSCRIPT_FORMATS = {
+	vtt: { contentType: "text/vtt; charset=utf-8", extension: "vtt" },
+	srt: { contentType: "application/x-subrip; charset=utf-8", extension: "srt" },
+	txt: { contentType: "text/plain; charset=utf-8", extension: "txt" },
+};
+
+// Cues without an end of their own last until the next one starts, or this long
+const DEFAULT_CUE_SECONDS = 5;
+
+// RFC 4180: quote fields with commas, quotes or line breaks, doubling the quotes
+function csvField(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (values) => `${values.map(csvField).join(",")}\r\n`;
+
+// Markdown that renders as the literal text
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>#|])/g, "\\$1");
+
+/**
+ * Writer for exported search hits, each { date, title, host, timestamp, deep_link, text }.
+ * `head()` and `tail()` wrap the `row()` calls; `meta` is { query, type, exportedAt }.
+ */
+function createHitWriter(format, meta) {
+	let count = 0;
+	let lastDate = null;
+
+	if (format === "csv") {
+		return {
+			head: () => csvRow(HIT_FIELDS),
+			row: (hit) => csvRow(HIT_FIELDS.map((field) => hit[field])),
+			tail: () => "",
+		};
+	}
+
+	if (format === "json") {
+		return {
+			head: () =>
+				`{"query":${JSON.stringify(meta.query)},"type":${JSON.stringify(meta.type)},` +
+				`"exported_at":${JSON.stringify(meta.exportedAt)},"hits":[\n`,
+			row: (hit) => {
+				const fields = Object.fromEntries(HIT_FIELDS.map((field) => [field, hit[field] ?? null]));
+				return `${count++ > 0 ? ",\n" : ""}${JSON.stringify(fields)}`;
+			},
+			tail: () => "\n]}\n",
+		};
+	}
+
+	// Markdown: a heading per show, a bullet per hit linked at its timestamp
+	return {
+		head: () =>
+			`# Search: ${escapeMarkdown(meta.query)}\n\n` +
+			`Exported ${meta.exportedAt}${meta.type !== "show" ? ` (${meta.type})` : ""}\n`,
+		row: (hit) => {
+			let text = "";
+			if (hit.date !== lastDate) {
+				lastDate = hit.date;
+				const title = hit.title ? ` · ${escapeMarkdown(hit.title)}` : "";
+				const host = hit.host ? ` (${escapeMarkdown(hit.host)})` : "";
+				text += `\n## ${hit.date}${title}${host}\n\n`;
+			}
+			const timestamp = hit.timestamp || "--:--";
+			const label = hit.deep_link ? `[${timestamp}](${hit.deep_link})` : timestamp;
+			const body = escapeMarkdown(hit.text || "").replace(/\s*\n\s*/g, " ");
+			return `${text}- **${label}** ${body}\n`;
+		},
+		tail: () => "",
+	};
+}
+
+// HH:MM:SS.mmm, or HH:MM:SS,mmm for SRT
+function cueTime(seconds, separator = ".") {
+	const ms = Math.round(seconds * 1000);
+	const pad = (n, width = 2) => String(n).padStart(width, "0");
+	const h = Math.floor(ms / 3600000);
+	const m = Math.floor((ms % 3600000) / 60000);
+	const s = Math.floor((ms % 60000) / 1000);
+	return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// HH:MM:SS, the timestamp exported hits and plain text transcripts carry
+const clockTime = (seconds) => cueTime(seconds).slice(0, 8);
+
+/**
+ * Pieces of one show's transcript in `format`. `segments` are { start, end, text } with
+ * start and end in seconds (null when unknown), in transcript order. Subtitle formats skip
+ * segments without a start; their cues end where the next one starts if they have no end.
+ */
+function* transcriptPieces(format, segments, { title } = {}) {
+	const timed = segments.filter((segment) => segment.start !== null);
+	const endOf = (segment, i) => {
+		const next = timed[i + 1];
+		const end = segment.end ?? (next ? next.start : segment.start + DEFAULT_CUE_SECONDS);
+		return end > segment.start ? end : segment.start + DEFAULT_CUE_SECONDS;
+	};
+	// A blank line would end the cue early
+	const cueText = (text) => text.replace(/\n\s*\n/g, "\n").trim();
+
+	if (format === "vtt") {
+		yield `WEBVTT${title ? ` - ${title.replace(/\s+/g, " ")}` : ""}\n\n`;
+		for (const [i, segment] of timed.entries()) {
+			yield `${cueTime(segment.start)} --> ${cueTime(endOf(segment, i))}\n${cueText(
+				segment.text
+			)}\n\n`;
+		}
+		return;
+	}
+
+	if (format === "srt") {
+		for (const [i, segment] of timed.entries()) {
+			const start = cueTime(segment.start, ",");
+			const end = cueTime(endOf(segment, i), ",");
+			yield `${i + 1}\n${start} --> ${end}\n${cueText(segment.text)}\n\n`;
+		}
+		return;
+	}
+
+	if (title) yield `${title}\n\n`;
+	for (const segment of segments) {
+		const stamp = segment.start !== null ? `[${clockTime(segment.start)}] ` : "";
+		yield `${stamp}${segment.text.replace(/\s*\n\s*/g, " ")}\n`;
+	}
+}
+
+module.exports = {
+	HIT_FORMATS,
+	TRANSCRIPT_FORMATS,
+	createHitWriter,
+	transcriptPieces,
+	clockTime,
+};
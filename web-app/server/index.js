@@ -2,19 +2,83 @@ const express = require("express");
 console.log("[NODE] PROCESS STARTED");
 const cors = require("cors");
 const { glob } = require("glob");
+const { minimatch } = require("minimatch");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const Database = require("better-sqlite3");
+const { SHOWS_CSV, createShowLinksTable, importShowLinks } = require("./csv_import");
+const { createThesaurus } = require("./thesaurus");
+const { createShowOffsets, videoSeconds, toSeconds } = require("./offsets");
+const {
+	CorrectionError,
+	createCorrections,
+	applyCorrections,
+	locateSegment,
+	diffWords,
+} = require("./corrections");
+const { createTranscriptCache } = require("./transcript_cache");
+const { SESSION_COOKIE, SESSION_DAYS, AccountError, createAccounts } = require("./accounts");
+const { ClipError, createClips } = require("./clips");
+const { renderQuoteCard } = require("./quote_card");
+const { showTitle, clipQuote, clipPageHtml } = require("./clip_page");
+const { createResponseCache } = require("./response_cache");
+const { createMetrics, round } = require("./metrics");
+const { PaginationError, parsePage, encodeCursor } = require("./pagination");
+const { LineRangeError, parseLineRange } = require("./line_range");
+const {
+	HIT_FORMATS,
+	TRANSCRIPT_FORMATS,
+	createHitWriter,
+	transcriptPieces,
+	clockTime,
+} = require("./export");
+const { blendResults } = require("./ranking");
+const {
+	createVocabularyTables,
+	refreshVocabulary,
+	addVocabularyTerms,
+	suggestCorrections,
+} = require("./vocabulary");
+const {
+	DateFilterError,
+	parseDateFilters,
+	compileDateFilters,
+	dateColumns,
+} = require("./date_filters");
+const {
+	QuerySyntaxError,
+	parseQuery,
+	compileQuery,
+	compileFilters,
+	toFts,
+} = require("./query_parser");
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// Express 4 ignores the promise an async handler returns, so a rejection would go unhandled
+// and end the process. Async handlers are registered through this to pass it on to the error
+// handler at the end instead.
+const asyncRoute = (handler) => (req, res, next) =>
+	Promise.resolve(handler(req, res, next)).catch(next);
+
 const PORT = process.env.PORT || 3001;
 const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, "../../");
 const TRANSCRIPTS_DIR = path.resolve(DATA_DIR, "transcripts/timestamps");
 const DB_PATH = path.resolve(DATA_DIR, "transcripts.db");
 const BEST_OF_DIR = path.resolve(DATA_DIR, "transcripts/best-of");
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// How many parsed transcripts to keep in memory for snippets and the reader
+const TRANSCRIPT_CACHE_FILES = parseInt(process.env.TRANSCRIPT_CACHE_FILES) || 200;
+// Cached /api/search and /api/shows responses, cleared whenever the index changes
+const RESPONSE_CACHE_ENTRIES = parseInt(process.env.RESPONSE_CACHE_ENTRIES) || 200;
+// The PRD's response time target, reported against by /api/metrics
+const LATENCY_TARGET_MS = parseInt(process.env.LATENCY_TARGET_MS) || 200;
+
+const responseCache = createResponseCache({ maxEntries: RESPONSE_CACHE_ENTRIES });
+const metrics = createMetrics({ targetMs: LATENCY_TARGET_MS });
 
 console.log(`[INIT] Transcript directory resolved to: ${TRANSCRIPTS_DIR}`);
 if (!fs.existsSync(TRANSCRIPTS_DIR)) {
@@ -29,6 +93,14 @@ const getFullPath = (relPath) => {
 		: path.join(TRANSCRIPTS_DIR, relPath);
 };
 
+// Full path of a registered transcript, or null if it would land outside the transcript
+// folders, so a bad `shows` row can never expose another file
+const TRANSCRIPT_ROOTS = [TRANSCRIPTS_DIR, path.join(path.dirname(TRANSCRIPTS_DIR), "best-of")];
+const transcriptPath = (relPath) => {
+	const fullPath = path.resolve(getFullPath(relPath));
+	return TRANSCRIPT_ROOTS.some((root) => fullPath.startsWith(root + path.sep)) ? fullPath : null;
+};
+
 // Initialize DB
 const db = new Database(DB_PATH);
 
@@ -52,16 +124,72 @@ function createTables() {
       file TEXT PRIMARY KEY,
       type TEXT,
       youtube_url TEXT,
-      custom_title TEXT
+      custom_title TEXT,
+      segments INTEGER
     );
   `);
 
+	// Derived from date so they can never disagree with it. Added with ALTER so existing
+	// databases get them without a rebuild; "Unknown Date" rows get NULLs.
+	const showColumns = db.prepare("PRAGMA table_xinfo(shows)").all();
+	if (!showColumns.some((c) => c.name === "segments")) {
+		db.exec("ALTER TABLE shows ADD COLUMN segments INTEGER");
+	}
+	for (const [column, format] of Object.entries({ year: "%Y", month: "%m", weekday: "%w" })) {
+		if (!showColumns.some((c) => c.name === column)) {
+			db.exec(`
+        ALTER TABLE shows ADD COLUMN ${column} INTEGER
+        GENERATED ALWAYS AS (CAST(strftime('${format}', date) AS INTEGER)) VIRTUAL
+      `);
+		}
+	}
 	db.exec(`
-    CREATE TABLE IF NOT EXISTS show_links (
-      date TEXT PRIMARY KEY,
-      youtube_url TEXT,
-      host TEXT,
-      custom_title TEXT
+    CREATE INDEX IF NOT EXISTS shows_type_date ON shows (type, date);
+    CREATE INDEX IF NOT EXISTS shows_year_month ON shows (year, month);
+    CREATE INDEX IF NOT EXISTS shows_weekday ON shows (weekday);
+  `);
+
+	createShowLinksTable(db);
+	createVocabularyTables(db);
+
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS indexed_files (
+      file TEXT PRIMARY KEY,
+      type TEXT,
+      mtime INTEGER,
+      size INTEGER,
+      hash TEXT,
+      indexed_at TEXT
+    );
+  `);
+
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS index_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT,
+      trigger TEXT,
+      scope TEXT,
+      force INTEGER DEFAULT 0,
+      status TEXT,
+      started_at TEXT,
+      finished_at TEXT,
+      duration_ms INTEGER,
+      total_files INTEGER DEFAULT 0,
+      processed_files INTEGER DEFAULT 0,
+      added INTEGER DEFAULT 0,
+      changed INTEGER DEFAULT 0,
+      deleted INTEGER DEFAULT 0,
+      unchanged INTEGER DEFAULT 0,
+      error_count INTEGER DEFAULT 0,
+      message TEXT
+    );
+  `);
+
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS index_job_failures (
+      job_id INTEGER,
+      file TEXT,
+      error TEXT
     );
   `);
 
@@ -92,228 +220,786 @@ function getDateFromFilename(filename) {
 	return "Unknown Date";
 }
 
-// Check if we need to build index (v6 includes Best Of support)
-const row = db.prepare("SELECT value FROM metadata WHERE key = ?").get("is_indexed_v9");
-let isIndexed = row ? row.value === "true" : false;
-let indexingProgress = { current: 0, total: 0 };
+// Bump this when the segment format or FTS schema changes to force a full rebuild.
+// Otherwise the index is kept up to date incrementally via the indexed_files manifest.
+const INDEX_SCHEMA_VERSION = "11";
 
-async function buildIndex() {
-	if (isIndexed) {
-		console.log("Database already indexed (v6). Skipping.");
-		// Quick check if we have data anyway
-		const count = db.prepare("SELECT COUNT(*) as count FROM shows").get().count;
-		console.log(`[STATUS] Database has ${count} shows indexed.`);
-		return;
-	}
+const row = db.prepare("SELECT value FROM metadata WHERE key = ?").get("index_schema");
+let isIndexed = row ? row.value === INDEX_SCHEMA_VERSION : false;
+let indexingPromise = null;
 
-	console.log("Starting SQLite Indexing (v9 with Best Of support)...");
+// Shows indexed before segment counts were stored get theirs counted from the index once
+function backfillSegmentCounts() {
+	const missing = db.prepare("SELECT file FROM shows WHERE segments IS NULL").all();
+	if (missing.length === 0) return;
 
-	// Faster than DELETE: DROP and Recreate
-	db.exec(`DROP TABLE IF EXISTS transcripts_fts`);
-	db.exec(`DROP TABLE IF EXISTS transcripts_fts_trigram`);
-	db.exec(`DROP TABLE IF EXISTS shows`);
-	createTables();
+	const count = db.prepare(
+		"SELECT COUNT(*) as n FROM transcripts_fts WHERE transcripts_fts MATCH ? AND file = ?"
+	);
+	const update = db.prepare("UPDATE shows SET segments = ? WHERE file = ?");
+	db.transaction(() => {
+		for (const { file } of missing) update.run(count.get(fileMatchQuery(file), file).n, file);
+	})();
+	console.log(`Counted segments for ${missing.length} shows.`);
+}
+
+// A stale index is rebuilt from scratch, which stores the counts anyway
+if (isIndexed) backfillSegmentCounts();
+
+function hashContent(content) {
+	return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+// FTS5 column filter that finds every segment of a file through the index instead of a table scan
+function fileMatchQuery(relPath) {
+	return `file : "${relPath.replace(/"/g, '""')}"`;
+}
 
-	const files = await glob(TRANSCRIPTS_DIR + "/**/*.txt");
+async function listTranscriptFiles() {
+	const files = fs.existsSync(TRANSCRIPTS_DIR) ? await glob(TRANSCRIPTS_DIR + "/**/*.txt") : [];
 	const bestOfFiles = fs.existsSync(BEST_OF_DIR) ? await glob(BEST_OF_DIR + "/*.md") : [];
 
-	const allFiles = [
-		...files.map((f) => ({ path: f, type: "show" })),
-		...bestOfFiles.map((f) => ({ path: f, type: "best_of" })),
+	return [
+		...files.map((f) => ({
+			path: f,
+			type: "show",
+			relativePath: path.relative(TRANSCRIPTS_DIR, f),
+		})),
+		...bestOfFiles.map((f) => ({
+			path: f,
+			type: "best_of",
+			relativePath: `best-of/${path.basename(f)}`,
+		})),
 	];
+}
 
-	if (allFiles.length === 0) {
-		console.error(
-			`[CRITICAL] No transcripts found in ${TRANSCRIPTS_DIR} or ${BEST_OF_DIR}. Check your deployment.`
-		);
+// Split a transcript into its shows row and the segments that go into both FTS tables
+function parseTranscript(fileInfo, content) {
+	const { type, relativePath } = fileInfo;
+	const lines = content.split(/\r?\n/);
+	const filename = path.basename(fileInfo.path);
+	const date = getDateFromFilename(filename);
+	const docs = [];
+	let show;
+
+	if (type === "best_of") {
+		const title = lines[0]?.trim() || filename;
+		const ytUrl = lines[1]?.trim() || "";
+		show = { date, file: relativePath, type, youtube_url: ytUrl, custom_title: title };
+
+		for (let j = 2; j < lines.length; j++) {
+			const line = lines[j].trim();
+			if (!line || line === ".") continue;
+			const tsMatch = line.match(/^(\d{1,2}:\d{2}(?::\d{2})?)\s+(.*)/);
+			if (tsMatch) {
+				docs.push({
+					id: `${relativePath}::${j}`,
+					file: relativePath,
+					line: j,
+					date: date,
+					text_content: line, // Keep the whole line for better display
+					type: "best_of",
+				});
+			}
+		}
+	} else {
+		show = { date, file: relativePath, type, youtube_url: null, custom_title: null };
+		let currentDoc = null;
+		for (let j = 0; j < lines.length; j++) {
+			const line = lines[j].trim();
+			if (!line) continue;
+			if (line.startsWith("[") && line.includes("-->")) {
+				if (currentDoc) docs.push(currentDoc);
+				currentDoc = {
+					id: `${relativePath}::${j}`,
+					file: relativePath,
+					line: j,
+					date: date,
+					text_content: "",
+					type: "show",
+				};
+			} else if (currentDoc) {
+				currentDoc.text_content += " " + line;
+			}
+		}
+		if (currentDoc) docs.push(currentDoc);
 	}
 
-	console.log(`Found ${files.length} shows and ${bestOfFiles.length} best-of files to ingest.`);
-	indexingProgress.total = allFiles.length;
+	show.segments = docs.length;
+	return { show, docs };
+}
 
-	const insertPorter = db.prepare(`
-    INSERT INTO transcripts_fts (id, file, line, date, text_content, type) 
-    VALUES (@id, @file, @line, @date, @text_content, @type)
-  `);
+// The index changed: re-derive the vocabulary and drop responses computed from the old one.
+// `terms` limits the vocabulary update to the terms of the segments that changed.
+function indexChanged(terms) {
+	refreshVocabulary(db, terms);
+	responseCache.clear();
+}
 
-	const insertTrigram = db.prepare(`
-    INSERT INTO transcripts_fts_trigram (id, file, line, date, text_content, type) 
-    VALUES (@id, @file, @line, @date, @text_content, @type)
-  `);
+function syncShowLinks() {
+	if (!fs.existsSync(SHOWS_CSV)) return;
 
-	const insertShow = db.prepare(`
-    INSERT OR REPLACE INTO shows (date, file, type, youtube_url, custom_title) 
-    VALUES (@date, @file, @type, @youtube_url, @custom_title)
-  `);
+	console.log("Syncing metadata from nrs_shows.csv...");
+	const report = importShowLinks(db);
+	responseCache.clear();
+	console.log(`Synced ${report.imported} links (${report.rejectedCount} rows rejected).`);
+}
 
-	const insertLink = db.prepare(`
-    INSERT OR REPLACE INTO show_links (date, youtube_url, host, custom_title) 
-    VALUES (?, ?, ?, ?)
-  `);
+// Prepared fresh for each run because a full rebuild drops and recreates the tables
+function prepareIndexStatements() {
+	const stmts = {
+		insertPorter: db.prepare(`
+      INSERT INTO transcripts_fts (id, file, line, date, text_content, type) 
+      VALUES (@id, @file, @line, @date, @text_content, @type)
+    `),
+		insertTrigram: db.prepare(`
+      INSERT INTO transcripts_fts_trigram (id, file, line, date, text_content, type) 
+      VALUES (@id, @file, @line, @date, @text_content, @type)
+    `),
+		insertVocab: db.prepare(`
+      INSERT INTO transcripts_vocab (rowid, text_content) VALUES (?, ?)
+    `),
+		// An upsert rather than OR REPLACE so a reindexed show keeps its rowid, which is its id
+		insertShow: db.prepare(`
+      INSERT INTO shows (date, file, type, youtube_url, custom_title, segments) 
+      VALUES (@date, @file, @type, @youtube_url, @custom_title, @segments)
+      ON CONFLICT(file) DO UPDATE SET date = excluded.date, type = excluded.type,
+        youtube_url = excluded.youtube_url, custom_title = excluded.custom_title,
+        segments = excluded.segments
+    `),
+		upsertManifest: db.prepare(`
+      INSERT OR REPLACE INTO indexed_files (file, type, mtime, size, hash, indexed_at) 
+      VALUES (@file, @type, @mtime, @size, @hash, @indexed_at)
+    `),
+		deletePorter: db.prepare(`
+      DELETE FROM transcripts_fts WHERE rowid IN (
+        SELECT rowid FROM transcripts_fts WHERE transcripts_fts MATCH ? AND file = ?
+      )
+    `),
+		// Must run before deletePorter, the rowids are looked up through it
+		deleteVocab: db.prepare(`
+      DELETE FROM transcripts_vocab WHERE rowid IN (
+        SELECT rowid FROM transcripts_fts WHERE transcripts_fts MATCH ? AND file = ?
+      )
+    `),
+		deleteTrigram: db.prepare(`
+      DELETE FROM transcripts_fts_trigram WHERE rowid IN (
+        SELECT rowid FROM transcripts_fts_trigram WHERE transcripts_fts_trigram MATCH ? AND file = ?
+      )
+    `),
+		deleteShow: db.prepare("DELETE FROM shows WHERE file = ?"),
+		deleteManifest: db.prepare("DELETE FROM indexed_files WHERE file = ?"),
+		getManifest: db.prepare("SELECT file, mtime, size, hash FROM indexed_files WHERE file = ?"),
+		getSegmentTexts: db.prepare(`
+      SELECT text_content FROM transcripts_fts WHERE transcripts_fts MATCH ? AND file = ?
+    `),
+	};
+
+	const purgeFile = (relPath) => {
+		const match = fileMatchQuery(relPath);
+		stmts.deleteVocab.run(match, relPath);
+		stmts.deletePorter.run(match, relPath);
+		stmts.deleteTrigram.run(match, relPath);
+		stmts.deleteShow.run(relPath);
+	};
+
+	stmts.removeFile = db.transaction((relPath) => {
+		purgeFile(relPath);
+		stmts.deleteManifest.run(relPath);
+	});
 
-	const insertMany = db.transaction((docs, shows, links) => {
-		for (const doc of docs) {
-			insertPorter.run(doc);
-			insertTrigram.run(doc);
-		}
-		for (const show of shows) {
-			insertShow.run(show);
-		}
-		for (const link of links) {
-			insertLink.run(...link);
+	stmts.applyBatch = db.transaction((entries) => {
+		for (const { parsed, manifest, replace } of entries) {
+			if (replace) purgeFile(manifest.file);
+			if (parsed) {
+				for (const doc of parsed.docs) {
+					const { lastInsertRowid } = stmts.insertPorter.run(doc);
+					stmts.insertVocab.run(lastInsertRowid, doc.text_content);
+					stmts.insertTrigram.run(doc);
+				}
+				stmts.insertShow.run(parsed.show);
+			}
+			stmts.upsertManifest.run(manifest);
 		}
 	});
 
+	return stmts;
+}
+
+// Compare a file on disk with its manifest row. Returns null when it is unchanged,
+// otherwise the batch entry to apply and whether it was "added", "changed" or just "touched".
+// `force` re-parses the file even when the manifest says it is up to date.
+function diffFile(fileInfo, previous, force = false) {
+	const stat = fs.statSync(fileInfo.path);
+	const mtime = Math.floor(stat.mtimeMs);
+
+	if (!force && previous && previous.mtime === mtime && previous.size === stat.size) return null;
+
+	// The manifest describes the file on disk, the index its content with corrections applied
+	const content = fs.readFileSync(fileInfo.path, "utf-8");
+	const manifest = {
+		file: fileInfo.relativePath,
+		type: fileInfo.type,
+		mtime,
+		size: stat.size,
+		hash: hashContent(content),
+		indexed_at: new Date().toISOString(),
+	};
+
+	if (!force && previous && previous.hash === manifest.hash) {
+		// Touched but not edited: just remember the new stat so we don't re-read it next time
+		return { status: "touched", entry: { parsed: null, manifest, replace: false } };
+	}
+
+	return {
+		status: previous ? "changed" : "added",
+		entry: {
+			parsed: parseTranscript(fileInfo, correctedContent(fileInfo, content)),
+			manifest,
+			replace: !!previous,
+		},
+	};
+}
+
+async function buildIndex(job) {
+	const fullRebuild = !isIndexed;
+	const scope = fullRebuild ? {} : job.scope;
+
+	if (fullRebuild) {
+		console.log(`Starting SQLite Indexing (schema v${INDEX_SCHEMA_VERSION}, full rebuild)...`);
+		job.kind = "rebuild";
+
+		// Faster than DELETE: DROP and Recreate
+		db.exec(`DROP TABLE IF EXISTS transcripts_fts`);
+		db.exec(`DROP TABLE IF EXISTS transcripts_fts_trigram`);
+		db.exec(`DROP TABLE IF EXISTS transcripts_vocab_terms`);
+		db.exec(`DROP TABLE IF EXISTS transcripts_vocab`);
+		db.exec(`DROP TABLE IF EXISTS shows`);
+		db.exec(`DROP TABLE IF EXISTS indexed_files`);
+		createTables();
+	} else {
+		console.log(
+			`[JOB ${job.id}] Checking ${
+				job.kind === "partial" ? "matching" : "all"
+			} transcripts for changes...`
+		);
+	}
+
+	const allFiles = (await listTranscriptFiles()).filter((f) => matchesScope(f, scope));
+
+	if (allFiles.length === 0 && job.kind !== "partial") {
+		console.error(
+			`[CRITICAL] No transcripts found in ${TRANSCRIPTS_DIR} or ${BEST_OF_DIR}. Check your deployment.`
+		);
+	}
+
+	const bestOfCount = allFiles.filter((f) => f.type === "best_of").length;
+	console.log(
+		`Found ${allFiles.length - bestOfCount} shows and ${bestOfCount} best-of files on disk.`
+	);
+	job.total = allFiles.length;
+
+	const stmts = prepareIndexStatements();
+	const known = new Map(
+		db
+			.prepare("SELECT file, type, mtime, size, hash FROM indexed_files")
+			.all()
+			.filter((r) => matchesScope({ relativePath: r.file, type: r.type }, scope))
+			.map((r) => [r.file, r])
+	);
+	const stats = job.stats;
+
 	let batch = [];
-	let showsBatch = [];
-	let linksBatch = [];
+	let pendingFiles = 0;
 
 	for (let i = 0; i < allFiles.length; i++) {
+		if (job.cancelRequested) break;
+
 		const fileInfo = allFiles[i];
-		const file = fileInfo.path;
-		const type = fileInfo.type;
 
-		indexingProgress.current = i + 1;
+		job.current = i + 1;
 		if (i % 50 === 0) await new Promise((r) => setImmediate(r));
 
-		const content = fs.readFileSync(file, "utf-8");
-		const lines = content.split(/\r?\n/);
-		const filename = path.basename(file);
-		const date = getDateFromFilename(filename);
-		const relativePath =
-			type === "best_of" ? `best-of/${filename}` : path.relative(TRANSCRIPTS_DIR, file);
-
-		if (type === "best_of") {
-			const title = lines[0]?.trim() || filename;
-			const ytUrl = lines[1]?.trim() || "";
-			showsBatch.push({ date, file: relativePath, type, youtube_url: ytUrl, custom_title: title });
-
-			for (let j = 2; j < lines.length; j++) {
-				const line = lines[j].trim();
-				if (!line || line === ".") continue;
-				const tsMatch = line.match(/^(\d{1,2}:\d{2}(?::\d{2})?)\s+(.*)/);
-				if (tsMatch) {
-					batch.push({
-						id: `${relativePath}::${j}`,
-						file: relativePath,
-						line: j,
-						date: date,
-						text_content: line, // Keep the whole line for better display
-						type: "best_of",
-					});
-				}
-			}
-		} else {
-			showsBatch.push({ date, file: relativePath, type, youtube_url: null, custom_title: null });
-			let currentDoc = null;
-			for (let j = 0; j < lines.length; j++) {
-				const line = lines[j].trim();
-				if (!line) continue;
-				if (line.startsWith("[") && line.includes("-->")) {
-					if (currentDoc) batch.push(currentDoc);
-					currentDoc = {
-						id: `${relativePath}::${j}`,
-						file: relativePath,
-						line: j,
-						date: date,
-						text_content: "",
-						type: "show",
-					};
-				} else if (currentDoc) {
-					currentDoc.text_content += " " + line;
-				}
-			}
-			if (currentDoc) batch.push(currentDoc);
+		const previous = known.get(fileInfo.relativePath);
+		known.delete(fileInfo.relativePath);
+
+		let diff;
+		try {
+			diff = diffFile(fileInfo, previous, job.force);
+		} catch (err) {
+			console.error(`[JOB ${job.id}] Failed to index ${fileInfo.relativePath}:`, err.message);
+			job.failures.push({ file: fileInfo.relativePath, error: err.message });
+			continue;
 		}
 
-		if (showsBatch.length >= 50) {
-			insertMany(batch, showsBatch, []);
+		if (!diff || diff.status === "touched") stats.unchanged++;
+		else stats[diff.status]++;
+		if (!diff) continue;
+
+		batch.push(diff.entry);
+		if (diff.entry.parsed) pendingFiles++;
+
+		if (pendingFiles >= 50 || batch.length >= 500) {
+			stmts.applyBatch(batch);
 			console.log(`Indexed ${i + 1} / ${allFiles.length} files...`);
 			batch = [];
-			showsBatch = [];
+			pendingFiles = 0;
 		}
 	}
 
-	if (batch.length > 0 || showsBatch.length > 0) insertMany(batch, showsBatch, []);
+	// Whatever was already parsed is consistent on its own, so keep it even when cancelling
+	if (batch.length > 0) stmts.applyBatch(batch);
 
-	// Update show_links from CSV
-	const csvFile = path.resolve(__dirname, "nrs_shows.csv");
-	if (fs.existsSync(csvFile)) {
-		console.log("Syncing metadata from nrs_shows.csv...");
-		const csvData = fs.readFileSync(csvFile, "utf8");
-		const lines = csvData.split(/\r?\n/).slice(1);
-
-		const links = lines
-			.map((line) => {
-				const parts = [];
-				let current = "";
-				let inQuotes = false;
-				for (let i = 0; i < line.length; i++) {
-					const char = line[i];
-					if (char === '"') {
-						if (inQuotes && line[i + 1] === '"') {
-							current += '"';
-							i++;
-						} else {
-							inQuotes = !inQuotes;
-						}
-					} else if (char === "," && !inQuotes) {
-						parts.push(current);
-						current = "";
-					} else {
-						current += char;
-					}
-				}
-				parts.push(current);
-				return parts;
-			})
-			.filter((p) => p.length >= 3)
-			.map((row) => {
-				const [date, init, youtube, notes, info, host, custom_title] = row;
-				const cleanDate = (date || "").replace(/"/g, "").trim();
-				const cleanYoutube = (youtube || "").replace(/"/g, "").trim();
-				let cleanHost = (host || "").replace(/"/g, "").trim();
-				if (cleanHost.startsWith("http")) cleanHost = ""; // Filter out URLs from host column
-				const cleanCustomTitle = (custom_title || "").replace(/"/g, "").trim();
-				return cleanDate && cleanYoutube && cleanYoutube.startsWith("http")
-					? [cleanDate, cleanYoutube, cleanHost, cleanCustomTitle]
-					: null;
-			})
-			.filter(Boolean);
-
-		db.transaction((ls) => {
-			db.exec("DELETE FROM show_links");
-			for (const link of ls) insertLink.run(...link);
-		})(links);
-		console.log(`Synced ${links.length} links.`);
+	if (job.cancelRequested) {
+		indexChanged();
+		console.log(`[JOB ${job.id}] Cancelled after ${job.current} / ${job.total} files.`);
+		return stats;
 	}
 
+	// Anything left in the manifest is no longer on disk
+	for (const relPath of known.keys()) stmts.removeFile(relPath);
+	stats.deleted = known.size;
+
+	indexChanged();
+
+	// Update show_links from CSV
+	syncShowLinks();
+
 	// Mark complete
 	db.prepare("INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)").run(
-		"is_indexed_v9",
-		"true"
+		"index_schema",
+		INDEX_SCHEMA_VERSION
 	);
+	db.prepare("DELETE FROM metadata WHERE key LIKE 'is_indexed_v%'").run();
 	isIndexed = true;
-	console.log("Indexing Complete!");
+	console.log(
+		`Indexing Complete! ${stats.added} added, ${stats.changed} changed, ${stats.deleted} deleted, ${stats.unchanged} unchanged, ${job.failures.length} failed.`
+	);
+	return stats;
+}
+
+// A scope narrows a reindex to some years, a glob over relative paths and/or one type.
+// The empty scope matches every file.
+function matchesScope(fileInfo, scope) {
+	if (scope.type && fileInfo.type !== scope.type) return false;
+	if (scope.years && scope.years.length > 0) {
+		const date = getDateFromFilename(path.basename(fileInfo.relativePath));
+		if (!scope.years.some((y) => date.startsWith(y))) return false;
+	}
+	if (scope.glob && !minimatch(fileInfo.relativePath, scope.glob)) return false;
+	return true;
+}
+
+const insertJob = db.prepare(`
+  INSERT INTO index_jobs (kind, trigger, scope, force, status, started_at) 
+  VALUES (@kind, @trigger, @scope, @force, 'running', @started_at)
+`);
+
+const finishJobRow = db.prepare(`
+  UPDATE index_jobs SET kind = @kind, status = @status, finished_at = @finished_at, 
+    duration_ms = @duration_ms, total_files = @total_files, processed_files = @processed_files, 
+    added = @added, changed = @changed, deleted = @deleted, unchanged = @unchanged, 
+    error_count = @error_count, message = @message 
+  WHERE id = @id
+`);
+
+const insertJobFailure = db.prepare(
+	"INSERT INTO index_job_failures (job_id, file, error) VALUES (?, ?, ?)"
+);
+
+// Jobs still marked running in the table were cut off by a restart
+db.prepare(
+	"UPDATE index_jobs SET status = 'interrupted', message = 'Server restarted' WHERE status = 'running'"
+).run();
+
+function createJob({ kind = "full", trigger = "startup", scope = {}, force = false } = {}) {
+	const startedAt = new Date();
+	const info = insertJob.run({
+		kind,
+		trigger,
+		scope: JSON.stringify(scope),
+		force: force ? 1 : 0,
+		started_at: startedAt.toISOString(),
+	});
+	return {
+		id: Number(info.lastInsertRowid),
+		kind,
+		trigger,
+		scope,
+		force,
+		status: "running",
+		startedAt,
+		current: 0,
+		total: 0,
+		stats: { added: 0, changed: 0, unchanged: 0, deleted: 0 },
+		failures: [],
+		cancelRequested: false,
+		message: null,
+	};
+}
+
+function finishJob(job, status, message = null) {
+	const finishedAt = new Date();
+	job.status = status;
+	job.message = message;
+	job.finishedAt = finishedAt;
+	db.transaction(() => {
+		finishJobRow.run({
+			id: job.id,
+			kind: job.kind,
+			status,
+			finished_at: finishedAt.toISOString(),
+			duration_ms: finishedAt - job.startedAt,
+			total_files: job.total,
+			processed_files: job.current,
+			...job.stats,
+			error_count: job.failures.length,
+			message,
+		});
+		for (const failure of job.failures) insertJobFailure.run(job.id, failure.file, failure.error);
+	})();
+}
+
+function jobProgress(job) {
+	return job && job.total ? Math.round((job.current / job.total) * 100) : 0;
+}
+
+function serializeJob(job) {
+	return {
+		id: job.id,
+		kind: job.kind,
+		trigger: job.trigger,
+		scope: job.scope,
+		force: job.force,
+		status: job.status,
+		progress: jobProgress(job),
+		current: job.current,
+		total: job.total,
+		...job.stats,
+		errorCount: job.failures.length,
+		startedAt: job.startedAt.toISOString(),
+	};
+}
+
+let currentJob = null;
+
+// Serialize index runs so a manual trigger during startup indexing doesn't double-ingest.
+// Returns the running job's promise when one is already in progress.
+function runIndex(options) {
+	if (indexingPromise) return indexingPromise;
+
+	const job = createJob(options);
+	currentJob = job;
+	indexingPromise = buildIndex(job)
+		.then(
+			(stats) => {
+				finishJob(job, job.cancelRequested ? "cancelled" : "completed");
+				return stats;
+			},
+			(err) => {
+				finishJob(job, "failed", err.message);
+				throw err;
+			}
+		)
+		.finally(() => {
+			indexingPromise = null;
+		});
+	return indexingPromise;
+}
+
+// Map an absolute path reported by the watcher back to the file info the indexer uses
+function fileInfoFor(absPath) {
+	if (absPath.startsWith(BEST_OF_DIR + path.sep) && absPath.endsWith(".md")) {
+		return { path: absPath, type: "best_of", relativePath: `best-of/${path.basename(absPath)}` };
+	}
+	if (absPath.startsWith(TRANSCRIPTS_DIR + path.sep) && absPath.endsWith(".txt")) {
+		return { path: absPath, type: "show", relativePath: path.relative(TRANSCRIPTS_DIR, absPath) };
+	}
+	return null;
+}
+
+// Re-index only the given files. Synchronous so it can never interleave with a full run.
+// `force` re-parses them even if they are unchanged on disk. The terms of the segments removed
+// and added are collected into `terms`, for indexChanged().
+function syncFiles(absPaths, { force = false, terms = new Set() } = {}) {
+	const stmts = prepareIndexStatements();
+	const changes = [];
+	const addOldTerms = (relPath) => {
+		for (const row of stmts.getSegmentTexts.all(fileMatchQuery(relPath), relPath)) {
+			addVocabularyTerms(terms, row.text_content);
+		}
+	};
+
+	for (const absPath of absPaths) {
+		const fileInfo = fileInfoFor(absPath);
+		if (!fileInfo) continue;
+
+		const previous = stmts.getManifest.get(fileInfo.relativePath);
+		let action = null;
+
+		if (!fs.existsSync(absPath)) {
+			if (previous) {
+				addOldTerms(fileInfo.relativePath);
+				stmts.removeFile(fileInfo.relativePath);
+				action = "deleted";
+			}
+		} else {
+			const diff = diffFile(fileInfo, previous, force);
+			if (diff) {
+				if (diff.entry.replace) addOldTerms(fileInfo.relativePath);
+				for (const doc of diff.entry.parsed ? diff.entry.parsed.docs : []) {
+					addVocabularyTerms(terms, doc.text_content);
+				}
+				stmts.applyBatch([diff.entry]);
+				if (diff.status !== "touched") action = diff.status;
+			}
+		}
+
+		if (action) changes.push({ file: fileInfo.relativePath, action, at: new Date().toISOString() });
+	}
+
+	return changes;
+}
+
+// Live watching of the transcript directories (WATCH_TRANSCRIPTS=true)
+const WATCH_DEBOUNCE_MS = 1000;
+const watcherState = {
+	enabled: false,
+	pending: new Set(),
+	timer: null,
+	changesApplied: 0,
+	lastChange: null,
+	lastError: null,
+};
+
+function flushWatchedChanges() {
+	watcherState.timer = null;
+
+	// Wait for a full scan to finish, its manifest snapshot must not go stale underneath it
+	if (indexingPromise) {
+		indexingPromise.catch(() => {}).then(scheduleWatchFlush);
+		return;
+	}
+
+	// One file at a time, so a file that can't be synced doesn't hold back the others. It stays
+	// pending and is retried on the next flush.
+	const changes = [];
+	const terms = new Set();
+	for (const absPath of [...watcherState.pending]) {
+		try {
+			changes.push(...syncFiles([absPath], { terms }));
+			watcherState.pending.delete(absPath);
+		} catch (err) {
+			console.error(`[WATCH ERROR] ${absPath}`, err);
+			watcherState.lastError = { message: err.message, at: new Date().toISOString() };
+		}
+	}
+
+	for (const change of changes) {
+		console.log(`[WATCH] ${change.action} ${change.file}`);
+	}
+	if (changes.length > 0) {
+		indexChanged(terms);
+		watcherState.changesApplied += changes.length;
+		watcherState.lastChange = changes[changes.length - 1];
+	}
+}
+
+function scheduleWatchFlush() {
+	if (watcherState.timer) clearTimeout(watcherState.timer);
+	watcherState.timer = setTimeout(flushWatchedChanges, WATCH_DEBOUNCE_MS);
+}
+
+function recordWatchError(dir, err) {
+	console.error(`[WATCH ERROR] ${dir}`, err);
+	watcherState.lastError = { message: err.message, at: new Date().toISOString() };
+}
+
+// Watch one directory; `root` is the transcript directory the reported filenames are under
+function watchDir(root, dir, options) {
+	fs.watch(dir, options, (eventType, filename) => {
+		if (!filename) return;
+		const absPath = path.join(dir, filename.toString());
+		if (!fileInfoFor(absPath)) return;
+		watcherState.pending.add(absPath);
+		scheduleWatchFlush();
+	}).on("error", (err) => recordWatchError(root, err));
+}
+
+function startWatcher() {
+	for (const dir of [TRANSCRIPTS_DIR, BEST_OF_DIR]) {
+		if (!fs.existsSync(dir)) {
+			console.warn(`[WATCH] ${dir} does not exist, not watching it.`);
+			continue;
+		}
+		try {
+			try {
+				watchDir(dir, dir, { recursive: true });
+			} catch (err) {
+				if (err.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw err;
+				// Node < 20 on Linux can't watch recursively. Transcripts are one level deep
+				// (timestamps/<year>/), so watching the existing year directories covers them;
+				// a new year directory is picked up on the next restart or re-index.
+				watchDir(dir, dir, {});
+				for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+					if (entry.isDirectory()) watchDir(dir, path.join(dir, entry.name), {});
+				}
+			}
+			console.log(`[WATCH] Watching ${dir} for transcript changes.`);
+		} catch (err) {
+			// Searching still works without the watcher, so report it instead of going down
+			recordWatchError(dir, err);
+		}
+	}
+	watcherState.enabled = true;
 }
 
 app.get("/api/status", (req, res) => {
 	res.json({
 		ready: isIndexed,
-		progress: indexingProgress.total
-			? Math.round((indexingProgress.current / indexingProgress.total) * 100)
-			: 0,
-		totalFiles: indexingProgress.total || 0,
+		indexing: !!indexingPromise,
+		progress: jobProgress(currentJob),
+		totalFiles:
+			currentJob && currentJob.status === "running" && currentJob.kind !== "partial"
+				? currentJob.total
+				: db.prepare("SELECT COUNT(*) as count FROM indexed_files").get().count,
+		job: currentJob ? serializeJob(currentJob) : null,
+		watcher: {
+			enabled: watcherState.enabled,
+			pending: watcherState.pending.size,
+			changesApplied: watcherState.changesApplied,
+			lastChange: watcherState.lastChange,
+			lastError: watcherState.lastError,
+		},
+	});
+});
+
+// Admin endpoints require `Authorization: Bearer $ADMIN_TOKEN` and are disabled without it
+function requireAdmin(req, res, next) {
+	if (!ADMIN_TOKEN) {
+		return res.status(503).json({ error: "Admin API disabled. Set ADMIN_TOKEN to enable it." });
+	}
+	const header = req.get("authorization") || "";
+	const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+	const expected = crypto.createHash("sha256").update(ADMIN_TOKEN).digest();
+	const actual = crypto.createHash("sha256").update(token).digest();
+	if (!token || !crypto.timingSafeEqual(expected, actual)) {
+		return res.status(401).json({ error: "Unauthorized" });
+	}
+	next();
+}
+
+function parseJobRow(row) {
+	return { ...row, scope: row.scope ? JSON.parse(row.scope) : {}, force: !!row.force };
+}
+
+// Start a reindex. Body: { years?: ["1995"], glob?: "1999/*.txt", type?: "best_of", force?: bool }
+// Without any filter the whole tree is synced; `force` re-parses files even if unchanged.
+app.post("/api/admin/reindex", requireAdmin, (req, res) => {
+	const body = req.body || {};
+	const scope = {};
+
+	if (body.years !== undefined) {
+		const years = Array.isArray(body.years)
+			? body.years.map(String)
+			: String(body.years).split(",");
+		if (!years.every((y) => /^\d{4}$/.test(y))) {
+			return res.status(400).json({ error: "years must be a list of 4-digit years" });
+		}
+		scope.years = years;
+	}
+	if (body.glob !== undefined) {
+		if (typeof body.glob !== "string" || !body.glob.trim()) {
+			return res.status(400).json({ error: "glob must be a non-empty string" });
+		}
+		scope.glob = body.glob.trim();
+	}
+	if (body.type !== undefined) {
+		if (!["show", "best_of"].includes(body.type)) {
+			return res.status(400).json({ error: "type must be 'show' or 'best_of'" });
+		}
+		scope.type = body.type;
+	}
+
+	if (indexingPromise) {
+		return res
+			.status(409)
+			.json({ error: "An index job is already running", job: serializeJob(currentJob) });
+	}
+
+	runIndex({
+		kind: Object.keys(scope).length > 0 ? "partial" : "full",
+		trigger: "admin",
+		scope,
+		force: !!body.force,
+	}).catch((err) => {
+		console.error("[INDEXING ERROR]", err);
 	});
+
+	res.status(202).json(serializeJob(currentJob));
+});
+
+app.post("/api/admin/jobs/:id/cancel", requireAdmin, (req, res) => {
+	const id = parseInt(req.params.id);
+	if (!currentJob || currentJob.id !== id || currentJob.status !== "running") {
+		return res.status(409).json({ error: `Job ${req.params.id} is not running` });
+	}
+	// A rebuild starts from empty tables, stopping it would leave the index unsearchable
+	if (currentJob.kind === "rebuild") {
+		return res.status(409).json({
+			error: `Job ${req.params.id} is a full rebuild`,
+			message: "A rebuild can't be cancelled, search is unavailable until it finishes.",
+		});
+	}
+	currentJob.cancelRequested = true;
+	res.status(202).json(serializeJob(currentJob));
+});
+
+app.get("/api/admin/jobs", requireAdmin, (req, res) => {
+	const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+	const rows = db.prepare("SELECT * FROM index_jobs ORDER BY id DESC LIMIT ?").all(limit);
+	res.json(
+		rows.map((row) =>
+			currentJob && currentJob.status === "running" && row.id === currentJob.id
+				? { ...parseJobRow(row), ...serializeJob(currentJob) }
+				: parseJobRow(row)
+		)
+	);
+});
+
+app.get("/api/admin/jobs/:id", requireAdmin, (req, res) => {
+	const row = db.prepare("SELECT * FROM index_jobs WHERE id = ?").get(req.params.id);
+	if (!row) return res.status(404).json({ error: "Job not found" });
+
+	const running = currentJob && currentJob.status === "running" && row.id === currentJob.id;
+	const failures = running
+		? currentJob.failures
+		: db.prepare("SELECT file, error FROM index_job_failures WHERE job_id = ?").all(row.id);
+	res.json({ ...parseJobRow(row), ...(running ? serializeJob(currentJob) : {}), failures });
+});
+
+// Re-import nrs_shows.csv into show_links. `?dryRun=true` only validates and returns the report.
+app.post("/api/admin/import-csv", requireAdmin, (req, res) => {
+	try {
+		const dryRun = req.query.dryRun === "true";
+		const report = importShowLinks(db, { dryRun });
+		if (!dryRun) responseCache.clear();
+		res.json(report);
+	} catch (err) {
+		console.error("[CSV IMPORT ERROR]", err);
+		res.status(500).json({ error: err.message });
+	}
 });
 
+const readDrops = () =>
+	JSON.parse(fs.readFileSync(path.resolve(__dirname, "audio_drops.json"), "utf-8"));
+
 // Audio drops endpoint
 app.get("/api/drops", (req, res) => {
 	const query = req.query.q || "";
 
 	try {
-		const dropsFile = path.resolve(__dirname, "audio_drops.json");
-		const dropsData = JSON.parse(fs.readFileSync(dropsFile, "utf-8"));
+		const dropsData = readDrops();
 
 		if (!query.trim()) {
 			// Return all drops if no search query
@@ -335,201 +1021,1001 @@ app.get("/api/drops", (req, res) => {
 	}
 });
 
-const NEIL_THESAURUS = {
-	jorge: ["jorge", "george"],
-	george: ["jorge", "george"],
-};
-
-function expandQuery(query) {
-	// Escape/sanitize quotes that could cause FTS5 syntax errors
-	// Remove unmatched quotes or multiple consecutive quotes
-	let sanitized = query;
-
-	// If query starts and ends with matching quotes, it's verbatim - keep it
-	if (sanitized.startsWith('"') && sanitized.endsWith('"') && sanitized.length > 1) {
-		return sanitized;
-	}
+// Autocomplete for the search box. The last word is completed from the transcript vocabulary,
+// the whole input from guest host names, show titles and audio drops (names and artists).
+// Every suggestion is { type, label, value, count } where `value` is the new search box text.
+app.get("/api/suggest", (req, res) => {
+	const prefix = (req.query.prefix || "").replace(/^\s+/, "");
+	const needle = prefix.trim().toLowerCase();
+	if (needle.length < 2) return res.json([]);
+	if (!isIndexed) return res.json([]);
 
-	// Otherwise, remove all quotes and apostrophes to prevent FTS5 syntax errors
-	// FTS5 phrase search can be problematic with unmatched quotes
-	sanitized = sanitized.replace(/["'`'']/g, "");
+	// Starts a word of `text`, so "lass" finds "Bob Lassiter"
+	const startsWord = (text) => ` ${(text || "").toLowerCase()}`.includes(` ${needle}`);
+	const phrase = (text) => `"${text.replace(/"/g, "")}"`;
 
-	const words = sanitized
-		.toLowerCase()
-		.split(/\s+/)
-		.filter((w) => w.length > 0);
-	const expandedParts = words.map((word) => {
-		// Basic match for exact word from thesaurus
-		const cleanWord = word.replace(/[^\w]/g, "");
-		if (NEIL_THESAURUS[cleanWord]) {
-			return `(${NEIL_THESAURUS[cleanWord].join(" OR ")})`;
-		}
-		// Return the word with only alphanumeric chars to avoid FTS5 issues
-		return cleanWord || word;
-	});
-	return expandedParts.join(" ");
-}
+	try {
+		const suggestions = [];
+
+		// Nothing to complete after a space, quote or field filter
+		const lastWord = prefix.match(/([\p{L}\p{N}']+)$/u);
+		const before = lastWord ? prefix.slice(0, lastWord.index) : "";
+		if (lastWord && lastWord[1].length >= 2 && !/["\w]:\S*$|"[^"]*$/.test(before)) {
+			const word = lastWord[1].toLowerCase();
+			const terms = db
+				.prepare(
+					`SELECT term, docs FROM vocabulary WHERE term >= ? AND term < ?
+           ORDER BY docs DESC LIMIT 6`
+				)
+				.all(word, word + "\uffff");
+			for (const { term, docs } of terms) {
+				suggestions.push({ type: "term", label: term, value: before + term, count: docs });
+			}
+		}
 
-app.get("/api/search", (req, res) => {
-	const query = req.query.q;
-	const yearsParam = req.query.years;
-	const offset = req.query.offset ? parseInt(req.query.offset) : 0;
-	const limit = 100;
+		const hosts = db
+			.prepare(
+				`SELECT host, COUNT(*) as shows FROM show_links
+         WHERE host LIKE ? OR host LIKE ? GROUP BY host ORDER BY shows DESC LIMIT 3`
+			)
+			.all(`${needle}%`, `% ${needle}%`);
+		for (const { host, shows } of hosts) {
+			suggestions.push({ type: "host", label: host, value: phrase(host), count: shows });
+		}
 
-	if (!isIndexed)
-		return res.status(503).json({
-			error: "Indexing",
-			progress: Math.round((indexingProgress.current / indexingProgress.total) * 100),
-		});
-	if (!query || !query.trim()) return res.json([]);
+		const titles = db
+			.prepare(
+				`SELECT custom_title FROM show_links WHERE custom_title LIKE ? OR custom_title LIKE ?
+         UNION
+         SELECT custom_title FROM shows WHERE custom_title LIKE ? OR custom_title LIKE ?
+         LIMIT 3`
+			)
+			.all(`${needle}%`, `% ${needle}%`, `${needle}%`, `% ${needle}%`);
+		for (const { custom_title } of titles) {
+			suggestions.push({ type: "title", label: custom_title, value: phrase(custom_title) });
+		}
 
-	try {
-		const isVerbatim = query.startsWith('"') && query.endsWith('"') && query.length > 1;
-		const expandedQuery = expandQuery(query);
-
-		// Validate expanded query to prevent FTS5 syntax errors
-		const cleanedQuery = expandedQuery.replace(/["()]/g, "").trim();
-		if (!cleanedQuery || cleanedQuery.length === 0) {
-			return res.json([]);
-		}
-
-		// Additional safety: check for problematic FTS5 characters
-		// FTS5 special characters that could cause issues: " : ^ * ( )
-		// The expandQuery function should handle quotes, but double-check
-		if (expandedQuery.split('"').length % 2 === 0) {
-			// Odd number of quotes detected (after split, even length means odd quotes)
-			console.warn("[FTS5 WARNING] Odd number of quotes in query, stripping all quotes:", {
-				query,
-				expandedQuery,
+		const drops = readDrops()
+			.files.filter((drop) => startsWord(drop.name) || startsWord(drop.artist))
+			.slice(0, 3);
+		for (const drop of drops) {
+			suggestions.push({
+				type: "drop",
+				label: drop.artist ? `${drop.name} — ${drop.artist}` : drop.name,
+				value: startsWord(drop.name) ? drop.name : drop.artist,
 			});
-			// This shouldn't happen after our expandQuery fix, but safety net
 		}
 
-		// Check for show-wide AND operator
-		const isAndSearch = expandedQuery.toUpperCase().includes(" AND ");
+		res.json(suggestions);
+	} catch (err) {
+		console.error("[SUGGEST ERROR]", err);
+		res.status(500).json({ error: err.message });
+	}
+});
 
-		const getSearchResults = (tableName, queryString, searchParams, currentOffset) => {
-			let finalMatchQuery = queryString;
-			let filterSql = "";
+const thesaurus = createThesaurus(db);
 
-			if (isAndSearch) {
-				// Split and expand each part for the intersection
-				const parts = query.split(/\s+AND\s+/i);
-				const expandedParts = parts.map((p) => expandQuery(p.trim()));
+// Thesaurus variants for a bare search word
+const expandWord = (word) => thesaurus.expand(word);
 
-				// Match segments that contain ANY of the terms...
-				finalMatchQuery = `(${expandedParts.join(" OR ")})`;
+// The client highlights with the same groups the search expands with
+app.get("/api/thesaurus", (req, res) => {
+	res.json({ groups: thesaurus.groups() });
+});
 
-				// ...but only in shows that contain ALL of the terms
-				filterSql = ` AND t.file IN (
-          ${expandedParts
-						.map(() => `SELECT file FROM ${tableName} WHERE ${tableName} MATCH ?`)
-						.join(" INTERSECT ")}
-        )`;
-			}
+// Body: { terms: ["suds", "sudds"] }. Replaces the whole group.
+app.put("/api/admin/thesaurus/:group", requireAdmin, (req, res) => {
+	const terms = req.body && req.body.terms;
+	if (!Array.isArray(terms)) return res.status(400).json({ error: "terms must be an array" });
+	try {
+		const saved = thesaurus.setGroup(req.params.group, terms);
+		responseCache.clear();
+		res.json({ group: req.params.group.toLowerCase(), terms: saved });
+	} catch (err) {
+		res.status(400).json({ error: err.message });
+	}
+});
 
-			const typeParam = req.query.type;
-			let typeFilter = " AND t.type = ? ";
-			const typeValue = typeParam || "show";
+app.delete("/api/admin/thesaurus/:group", requireAdmin, (req, res) => {
+	if (!thesaurus.deleteGroup(req.params.group)) {
+		return res.status(404).json({ error: "Group not found" });
+	}
+	responseCache.clear();
+	res.status(204).end();
+});
 
-			let sql = `
-        SELECT t.id, t.file, t.line, t.date, t.text_content, 
-               snippet(${tableName}, 4, '<b>', '</b>', '...', 64) as highlight,
-               COALESCE(l.youtube_url, s.youtube_url) as youtube_url, 
-               l.host, 
-               COALESCE(l.custom_title, s.custom_title) as custom_title,
-               t.type
-        FROM ${tableName} t
-        LEFT JOIN show_links l ON t.date = l.date
-        LEFT JOIN shows s ON t.file = s.file
-        WHERE t.${tableName} MATCH ? 
-        ${filterSql}
-        ${typeFilter}
-      `;
+const showOffsets = createShowOffsets(db);
 
-			const queryParams = [finalMatchQuery];
-			if (isAndSearch) {
-				const parts = query.split(/\s+AND\s+/i);
-				parts.forEach((p) => queryParams.push(expandQuery(p.trim())));
-			}
+// Corrected deep links for every timestamp in a snippet, keyed by the timestamp as written
+function timestampLinks(url, text, anchors) {
+	if (!url) return null;
+	const links = {};
+	for (const line of (text || "").split("\n")) {
+		const ts = timestampFromLine(line);
+		if (ts && !links[ts]) links[ts] = showOffsets.deepLink(url, ts, anchors);
+	}
+	return links;
+}
 
-			queryParams.push(typeValue);
+app.get("/api/admin/offsets", requireAdmin, (req, res) => {
+	res.json({ shows: showOffsets.all() });
+});
 
-			if (yearsParam) {
-				const years = yearsParam.split(",");
-				const yearPlaceholders = years.map(() => "t.date LIKE ?").join(" OR ");
-				sql += ` AND (${yearPlaceholders}) `;
-				years.forEach((y) => queryParams.push(`${y}%`));
-			}
+// Body: { type?: "best_of", offset: 12 } or { anchors: [{ at: 0, offset: 12 }, { at: "01:02:00", offset: -30 }] }.
+// Replaces the show's anchors.
+app.put("/api/admin/offsets/:date", requireAdmin, (req, res) => {
+	const type = (req.body && req.body.type) || "show";
+	const show = db
+		.prepare("SELECT 1 FROM shows WHERE date = ? AND type = ?")
+		.get(req.params.date, type);
+	if (!show) return res.status(404).json({ error: "Show not found" });
+	try {
+		const anchors = showOffsets.set(req.params.date, type, req.body);
+		responseCache.clear();
+		res.json({ date: req.params.date, type, anchors });
+	} catch (err) {
+		res.status(400).json({ error: err.message });
+	}
+});
 
-			sql += ` ORDER BY rank LIMIT ${limit} OFFSET ${currentOffset}`;
-			return db.prepare(sql).all(...queryParams);
-		};
+app.delete("/api/admin/offsets/:date", requireAdmin, (req, res) => {
+	if (!showOffsets.delete(req.params.date, req.query.type || "show")) {
+		return res.status(404).json({ error: "No offsets for this show" });
+	}
+	responseCache.clear();
+	res.status(204).end();
+});
 
-		// 1. Try Exact/Porter search first
-		let results = [];
-		try {
-			results = getSearchResults("transcripts_fts", expandedQuery, yearsParam, offset);
-		} catch (ftsError) {
-			console.error("[FTS5 ERROR] Query failed:", {
-				query,
-				expandedQuery,
-				error: ftsError.message,
-			});
-			return res.json([]);
-		}
+const corrections = createCorrections(db);
 
-		// 2. Fallback to Fuzzy/Trigram ONLY if verbatim search is NOT used AND exact results were 0
-		// This prevents "Elian" from matching "reliance" when exact hits for Elian exist.
-		if (!isVerbatim && results.length === 0 && query.length >= 3) {
-			const fuzzyResults = getSearchResults(
-				"transcripts_fts_trigram",
-				expandedQuery,
-				yearsParam,
-				offset
-			);
-			results = fuzzyResults;
-		}
+// A transcript's content with its approved corrections laid over it
+function correctedContent(fileInfo, content) {
+	return applyCorrections(content, fileInfo.type, corrections.applied(fileInfo.relativePath));
+}
 
-		const enriched = results.map((hit) => {
-			try {
-				const fullPath = getFullPath(hit.file);
-				const content = fs.readFileSync(fullPath, "utf-8");
-				const lines = content.split("\n");
-				const startLine = Math.max(0, hit.line);
-				const endLine = Math.min(lines.length - 1, hit.line + 6);
-				return {
-					...hit,
-					snippet: lines.slice(startLine, endLine + 1).join("\n"),
-				};
-			} catch (e) {
-				return { ...hit, snippet: hit.text_content };
+/**
+ * A segment's text in the transcript file (`original`) and as shown with corrections applied
+ * (`current`), null where no segment starts at `line`. `reads` shares file reads between calls.
+ */
+async function segmentTexts({ file, type, line }, reads = new Map()) {
+	if (!reads.has(file)) {
+		const fullPath = transcriptPath(file);
+		if (!fullPath) throw new Error(`${file} is outside the transcript folders`);
+		reads.set(
+			file,
+			Promise.all([
+				fs.promises.readFile(fullPath, "utf-8").then((content) => content.split("\n")),
+				transcriptCache.read(fullPath).then((entry) => entry.lines),
+			])
+		);
+	}
+	const [fileLines, shownLines] = await reads.get(file);
+	const original = locateSegment(fileLines, line, type);
+	const current = locateSegment(shownLines, line, type);
+	return {
+		original: original && original.textLines.length > 0 ? original.text : null,
+		current: current ? current.text : null,
+	};
+}
+
+// A correction for review: the segment as it reads now, a word diff from that to the
+// proposal, and whether the file has changed since it was proposed
+async function reviewOf(correction, reads) {
+	let texts = { original: null, current: null };
+	try {
+		texts = await segmentTexts(correction, reads);
+	} catch (err) {
+		console.error("[CORRECTIONS ERROR]", err.message);
+	}
+	return {
+		...correction,
+		current: texts.current,
+		stale: texts.original !== correction.original,
+		diff: diffWords(texts.current ?? correction.original, correction.proposed),
+	};
+}
+
+// Re-index a file whose corrections changed. Waits for a running scan, like the watcher.
+// True once done, false when deferred; throws if the file can't be re-indexed now.
+function reindexCorrected(file) {
+	transcriptCache.forget(getFullPath(file));
+	if (indexingPromise) {
+		indexingPromise
+			.catch(() => {})
+			.then(() => reindexCorrected(file))
+			.catch((err) => console.error(`[CORRECTIONS ERROR] Re-indexing ${file}:`, err.message));
+		return false;
+	}
+	const terms = new Set();
+	syncFiles([getFullPath(file)], { force: true, terms });
+	indexChanged(terms);
+	return true;
+}
+
+// Propose new text for a segment: { date, type?, line, text, note?, name? }. Segments are
+// addressed the way search hits and the reader address them, by show and line.
+app.post(
+	"/api/corrections",
+	asyncRoute(async (req, res) => {
+		if (!isIndexed)
+			return res.status(503).json({
+				error: "Indexing",
+				progress: jobProgress(currentJob),
+			});
+
+		const { date, type = "show", line } = req.body || {};
+		if (typeof date !== "string" || !Number.isInteger(line) || line < 0) {
+			return res
+				.status(400)
+				.json({ error: "Invalid correction", message: "Expected a show date and a segment line" });
+		}
+		const show = db
+			.prepare("SELECT date, file, type FROM shows WHERE date = ? AND type = ? LIMIT 1")
+			.get(date, type);
+		if (!show) return res.status(404).json({ error: "Show not found" });
+
+		let texts;
+		try {
+			texts = await segmentTexts({ file: show.file, type: show.type, line });
+		} catch (err) {
+			console.error("[CORRECTIONS ERROR]", err.message);
+			return res.status(404).json({ error: "Transcript file missing" });
+		}
+		if (texts.original === null || texts.current === null) {
+			return res.status(404).json({ error: "Segment not found" });
+		}
+
+		try {
+			const { correction, created } = corrections.propose(
+				{ ...show, line, original: texts.original, current: texts.current },
+				req.body
+			);
+			if (created) console.log(`[CORRECTIONS] #${correction.id} proposed for ${show.file}:${line}`);
+			const { id, status, proposed, created_at } = correction;
+			res
+				.status(created ? 201 : 200)
+				.json({ id, status, date: show.date, type: show.type, line, proposed, created_at });
+		} catch (err) {
+			if (!(err instanceof CorrectionError)) throw err;
+			res.status(400).json({ error: "Invalid correction", message: err.message });
+		}
+	})
+);
+
+// The moderation queue: pending proposals by default, ?status= for the others
+app.get(
+	"/api/admin/corrections",
+	requireAdmin,
+	asyncRoute(async (req, res) => {
+		const status = req.query.status === "all" ? null : req.query.status || "pending";
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+		let rows;
+		try {
+			rows = corrections.list({ status, limit });
+		} catch (err) {
+			if (!(err instanceof CorrectionError)) throw err;
+			return res.status(400).json({ error: err.message });
+		}
+		const reads = new Map();
+		res.json({ corrections: await Promise.all(rows.map((row) => reviewOf(row, reads))) });
+	})
+);
+
+app.get(
+	"/api/admin/corrections/:id",
+	requireAdmin,
+	asyncRoute(async (req, res) => {
+		const correction = corrections.get(Number(req.params.id));
+		if (!correction) return res.status(404).json({ error: "Correction not found" });
+		res.json(await reviewOf(correction));
+	})
+);
+
+// Body: { note? }. Applies the correction and re-indexes its show straight away.
+app.post(
+	"/api/admin/corrections/:id/approve",
+	requireAdmin,
+	asyncRoute(async (req, res) => {
+		const correction = corrections.get(Number(req.params.id));
+		if (!correction) return res.status(404).json({ error: "Correction not found" });
+		if (correction.status !== "pending") {
+			return res.status(409).json({ error: `Correction is already ${correction.status}` });
+		}
+		const { stale } = await reviewOf(correction);
+		if (stale) {
+			return res.status(409).json({
+				error: "Transcript changed",
+				message: "The segment was edited in the transcript file since this was proposed",
+			});
+		}
+
+		let approved;
+		try {
+			approved = corrections.approve(correction.id, req.body && req.body.note);
+		} catch (err) {
+			if (!(err instanceof CorrectionError)) throw err;
+			return res.status(400).json({ error: err.message });
+		}
+		if (!approved) return res.status(409).json({ error: "Correction was already reviewed" });
+
+		let reindexed;
+		try {
+			reindexed = reindexCorrected(approved.file);
+		} catch (err) {
+			// The approval stands and the overlay already shows in transcripts read from now on;
+			// the index catches up on the next re-index of the file
+			console.error(
+				`[CORRECTIONS ERROR] #${approved.id} approved, re-indexing failed:`,
+				err.message
+			);
+			responseCache.clear();
+			return res.status(500).json({
+				error: "Re-index failed",
+				message: `Correction #${approved.id} was approved, but ${approved.file} could not be re-indexed: ${err.message}`,
+				correction: approved,
+			});
+		}
+		console.log(
+			`[CORRECTIONS] #${approved.id} approved for ${approved.file}:${approved.line}` +
+				(reindexed ? "" : ", re-indexing after the running job")
+		);
+		res.json({ ...(await reviewOf(approved)), reindexed });
+	})
+);
+
+// Body: { note? }
+app.post("/api/admin/corrections/:id/reject", requireAdmin, (req, res) => {
+	const correction = corrections.get(Number(req.params.id));
+	if (!correction) return res.status(404).json({ error: "Correction not found" });
+	let rejected;
+	try {
+		rejected = corrections.reject(correction.id, req.body && req.body.note);
+	} catch (err) {
+		if (!(err instanceof CorrectionError)) throw err;
+		return res.status(400).json({ error: err.message });
+	}
+	if (!rejected) {
+		return res.status(409).json({ error: `Correction is already ${correction.status}` });
+	}
+	res.json(rejected);
+});
+
+// The indexed generated columns of the shows table, aliased as s
+const SHOW_DATE_COLUMNS = {
+	date: "s.date",
+	year: "s.year",
+	month: "s.month",
+	weekday: "s.weekday",
+};
+
+// 400 for malformed years/from/to/months/weekdays, otherwise the parsed filters
+function readDateFilters(req, res) {
+	try {
+		return parseDateFilters(req.query);
+	} catch (err) {
+		if (!(err instanceof DateFilterError)) throw err;
+		res.status(400).json({ error: "Invalid filter", message: err.message });
+		return null;
+	}
+}
+
+function readPage(req, res) {
+	try {
+		return parsePage(req.query);
+	} catch (err) {
+		if (!(err instanceof PaginationError)) throw err;
+		res.status(400).json({ error: "Invalid page", message: err.message });
+		return null;
+	}
+}
+
+// 400 with the position of the problem for a malformed query, otherwise the parsed query
+function readParsedQuery(query, res) {
+	try {
+		return parseQuery(query);
+	} catch (err) {
+		if (!(err instanceof QuerySyntaxError)) throw err;
+		res.status(400).json({
+			error: "Query syntax error",
+			message: err.message,
+			position: err.position,
+		});
+		return null;
+	}
+}
+
+// FROM/WHERE clause and parameters for the show notes matching `matchQuery` and the filters
+function showNotesWhere(matchQuery, filters, dateFilters) {
+	let sql = `
+    FROM show_notes_fts n
+    JOIN show_links l ON n.date = l.date
+    WHERE show_notes_fts MATCH ?
+  `;
+	const params = [matchQuery];
+
+	const fieldFilters = compileFilters(filters, { date: "n.date", host: "l.host" });
+	sql += fieldFilters.sql;
+	params.push(...fieldFilters.params);
+
+	const dates = compileDateFilters(dateFilters, dateColumns("n.date"));
+	sql += dates.sql;
+	params.push(...dates.params);
+
+	return { sql, params };
+}
+
+// One page of matching show notes, and how many shows match in all
+function searchShowNotes(matchQuery, filters, dateFilters, offset, limit) {
+	const { sql: where, params } = showNotesWhere(matchQuery, filters, dateFilters);
+	const { total } = db.prepare(`SELECT COUNT(*) as total ${where}`).get(...params);
+	const results = db
+		.prepare(
+			`SELECT n.date, l.notes, l.info, l.youtube_url, l.host, l.custom_title,
+              snippet(show_notes_fts, -1, '<b>', '</b>', '...', 64) as highlight,
+              (SELECT s.file FROM shows s WHERE s.date = n.date AND s.type = 'show' LIMIT 1) as file
+       ${where}
+       ORDER BY rank LIMIT ${limit} OFFSET ${offset}`
+		)
+		.all(...params)
+		.map((row) => {
+			const text = [row.notes, row.info].filter(Boolean).join("\n");
+			return { ...row, id: `notes::${row.date}`, type: "notes", text_content: text, snippet: text };
+		});
+	return { results, total };
+}
+
+// Snippets, the reader and exports all see transcripts with their corrections applied
+const transcriptCache = createTranscriptCache({
+	maxFiles: TRANSCRIPT_CACHE_FILES,
+	transform: (fullPath, content) => {
+		const fileInfo = fileInfoFor(fullPath);
+		return fileInfo ? correctedContent(fileInfo, content) : content;
+	},
+});
+
+const elapsed = (start) => round(performance.now() - start);
+
+/**
+ * Serve GET responses from the response cache and time them. Handlers add the time spent in
+ * index queries to res.locals.timing.fts and set res.locals.enrichFrom when they start
+ * building the response around the results (reading transcripts, links, suggestions).
+ * Both phases land in the Server-Timing header, with the total, and in /api/metrics under
+ * `route`. Only 200 responses are cached.
+ */
+function cachedJson(route) {
+	return (req, res, next) => {
+		const start = performance.now();
+		const url = new URL(req.originalUrl, "http://localhost");
+		url.searchParams.sort();
+		const key = `${url.pathname}?${url.searchParams}`;
+		const generation = responseCache.generation();
+		const timing = (res.locals.timing = { fts: 0, enrich: 0, total: 0 });
+
+		const finish = (cache) => {
+			if (res.locals.enrichFrom) timing.enrich = elapsed(res.locals.enrichFrom);
+			timing.total = elapsed(start);
+			res.set("X-Cache", cache.toUpperCase());
+			res.set(
+				"Server-Timing",
+				`fts;dur=${timing.fts}, enrich;dur=${timing.enrich}, total;dur=${timing.total}`
+			);
+			metrics.record(route, { url: key, status: res.statusCode, cache, timing: { ...timing } });
+		};
+
+		const cached = responseCache.get(key);
+		if (cached !== undefined) {
+			finish("hit");
+			return res.json(cached);
+		}
+
+		const json = res.json.bind(res);
+		res.json = (body) => {
+			if (res.statusCode === 200) responseCache.set(key, body, generation);
+			finish("miss");
+			return json(body);
+		};
+		next();
+	};
+}
+
+// Latency percentiles, cache hit rates and the slowest requests, against LATENCY_TARGET_MS
+app.get("/api/metrics", (req, res) => {
+	res.json({
+		...metrics.summary(),
+		responseCache: responseCache.stats(),
+		transcriptCache: transcriptCache.stats(),
+	});
+});
+
+const DEFAULT_CONTEXT = { before: 0, after: 6 };
+const MAX_CONTEXT_LINES = 50;
+
+// context=before,after: how many transcript lines around each hit its snippet shows
+function readContext(req, res) {
+	if (req.query.context === undefined) return DEFAULT_CONTEXT;
+	const match = String(req.query.context).match(/^(\d+),(\d+)$/);
+	const [before, after] = match ? [Number(match[1]), Number(match[2])] : [];
+	if (!match || before > MAX_CONTEXT_LINES || after > MAX_CONTEXT_LINES) {
+		res.status(400).json({
+			error: "Invalid context",
+			message: `context expects before,after line counts from 0 to ${MAX_CONTEXT_LINES}`,
+		});
+		return null;
+	}
+	return { before, after };
+}
+
+// Lines of a transcript around `line`, shown as the result card's context
+function snippetFromLines(lines, line, { before, after } = DEFAULT_CONTEXT) {
+	const startLine = Math.max(0, line - before);
+	const endLine = Math.min(lines.length - 1, line + after);
+	return lines.slice(startLine, endLine + 1).join("\n");
+}
+
+// Lines of a transcript from the cache, or null when the file can't be read
+const transcriptLines = (file) =>
+	transcriptCache.read(getFullPath(file)).then(
+		(entry) => entry.lines,
+		() => null
+	);
+
+// Timestamp at the start of a VTT segment header or a Best Of line
+function timestampFromLine(text) {
+	const tsMatch =
+		(text || "").match(/^\[(\d{2}:\d{2}:\d{2}[.\d]*) -->/) ||
+		(text || "").match(/^(\d{1,2}:\d{2}(?::\d{2})?)/);
+	return tsMatch ? tsMatch[1] : null;
+}
+
+/**
+ * FROM and WHERE clauses for the segments of `tableName` matching a parsed query, with its
+ * field filters and the request's type and date filters. Shared by /api/search and /api/trends.
+ * The segment table is aliased t, shows s and show_links l.
+ */
+function searchWhere(tableName, parsed, { type, dateFilters }) {
+	// Segments matching ANY of the AND-ed parts...
+	const { match, showScopes } = compileQuery(parsed, {
+		trigram: tableName === "transcripts_fts_trigram",
+		expand: expandWord,
+	});
+
+	let sql = `
+    FROM ${tableName} t
+    LEFT JOIN show_links l ON t.date = l.date
+    LEFT JOIN shows s ON t.file = s.file
+    WHERE t.${tableName} MATCH ?
+  `;
+	const params = [match];
+
+	if (showScopes) {
+		// ...but only in shows that contain ALL of them
+		sql += ` AND t.file IN (
+      ${showScopes
+				.map(() => `SELECT file FROM ${tableName} WHERE ${tableName} MATCH ?`)
+				.join(" INTERSECT ")}
+    )`;
+		params.push(...showScopes);
+	}
+
+	sql += " AND t.type = ?";
+	params.push(type || "show");
+
+	// year:, date: and host: filters from the query itself
+	const fieldFilters = compileFilters(parsed.filters);
+	sql += fieldFilters.sql;
+	params.push(...fieldFilters.params);
+
+	// years, from/to, months and weekdays
+	const dates = compileDateFilters(dateFilters, SHOW_DATE_COLUMNS);
+	sql += dates.sql;
+	params.push(...dates.params);
+
+	return { sql, params, match };
+}
+
+app.get(
+	"/api/search",
+	cachedJson("search"),
+	asyncRoute(async (req, res) => {
+		const query = req.query.q;
+		// group=show returns one row per episode with its hit count and best snippets
+		const groupByShow = req.query.group === "show";
+		const snippetsPerShow = Math.min(Math.max(parseInt(req.query.snippets) || 3, 1), 10);
+		// ranking=blend merges trigram near-misses into the porter hits instead of only falling back
+		// to them when there are none. Segment view only.
+		const blend = req.query.ranking === "blend" && !groupByShow;
+
+		if (!isIndexed)
+			return res.status(503).json({
+				error: "Indexing",
+				progress: jobProgress(currentJob),
+			});
+
+		const page = readPage(req, res);
+		if (!page) return;
+		const { offset, limit } = page;
+		// Fuzzy hits are scored by edit distance, which SQL can't sort on, so later pages of the
+		// blended list can't be cut from the index consistently. It is one page of the best hits.
+		if (blend && offset > 0) {
+			return res.status(400).json({
+				error: "Invalid page",
+				message: "Blended ranking only returns the first page; search without it to page further.",
+			});
+		}
+
+		// Every response is one page plus the totals it was cut from. `paged` is the total the
+		// pages step through: shows in the show view, otherwise hits.
+		const envelope = (results, suggestions, totals, paged = totals.hits) => {
+			const next = offset + limit;
+			const more = next < paged && !blend;
+			return {
+				results,
+				suggestions,
+				total_hits: totals.hits,
+				total_shows: totals.shows,
+				next_cursor: more ? encodeCursor(next, req.query) : null,
+				page_size: limit,
+			};
+		};
+
+		if (!query || !query.trim()) return res.json(envelope([], [], { hits: 0, shows: 0 }));
+
+		const dateFilters = readDateFilters(req, res);
+		if (!dateFilters) return;
+		const context = readContext(req, res);
+		if (!context) return;
+
+		try {
+			const parsed = readParsedQuery(query, res);
+			if (!parsed) return;
+			const isVerbatim = parsed.verbatim;
+
+			// Show notes from nrs_shows.csv are their own result type
+			if (req.query.type === "notes") {
+				// Every AND-ed part must appear in the same show's notes
+				const notesQuery = parsed.groups.map((g) => toFts(g, { expand: expandWord })).join(" AND ");
+				try {
+					const ftsStart = performance.now();
+					const { results, total } = searchShowNotes(
+						notesQuery,
+						parsed.filters,
+						dateFilters,
+						offset,
+						limit
+					);
+					res.locals.timing.fts = elapsed(ftsStart);
+					return res.json(envelope(results, [], { hits: total, shows: total }));
+				} catch (ftsError) {
+					console.error("[FTS5 ERROR] Notes query failed:", {
+						query,
+						notesQuery,
+						error: ftsError.message,
+					});
+					return res.status(400).json({ error: "Query error", message: ftsError.message });
+				}
 			}
+
+			// Matching segments and the shows they are in, over all pages
+			const countMatches = (tableName) => {
+				const where = searchWhere(tableName, parsed, { type: req.query.type, dateFilters });
+				return db
+					.prepare(`SELECT COUNT(*) as hits, COUNT(DISTINCT t.file) as shows ${where.sql}`)
+					.get(...where.params);
+			};
+
+			// Blended results are the union of both indexes, counted once per segment
+			const countBlended = () => {
+				const exact = searchWhere("transcripts_fts", parsed, { type: req.query.type, dateFilters });
+				const fuzzy = searchWhere("transcripts_fts_trigram", parsed, {
+					type: req.query.type,
+					dateFilters,
+				});
+				return db
+					.prepare(
+						`SELECT COUNT(*) as hits, COUNT(DISTINCT file) as shows FROM (
+             SELECT t.id, t.file ${exact.sql} UNION SELECT t.id, t.file ${fuzzy.sql}
+           )`
+					)
+					.get(...exact.params, ...fuzzy.params);
+			};
+
+			// `excludeExact` leaves out segments the porter index matches, for the fuzzy side of a blend
+			const getSearchResults = (tableName, currentOffset, currentLimit = limit, excludeExact) => {
+				const where = searchWhere(tableName, parsed, { type: req.query.type, dateFilters });
+				const params = [...where.params];
+
+				// Summing bm25 over a show's segments favours shows that mention the term more often
+				const columns = groupByShow
+					? `t.file, t.date, COUNT(*) as hits, -SUM(t.rank) as score, MIN(t.line) as first_line,`
+					: `t.id, t.file, t.line, t.date, t.text_content, 
+               snippet(${tableName}, 4, '<b>', '</b>', '...', 64) as highlight,
+               ${blend ? "t.rank as bm25," : ""}`;
+
+				let sql = `
+        SELECT ${columns}
+               COALESCE(l.youtube_url, s.youtube_url) as youtube_url, 
+               l.host, 
+               COALESCE(l.custom_title, s.custom_title) as custom_title,
+               t.type
+        ${where.sql}
+      `;
+				if (excludeExact) {
+					const exact = searchWhere("transcripts_fts", parsed, {
+						type: req.query.type,
+						dateFilters,
+					});
+					sql += " AND t.id NOT IN (SELECT id FROM transcripts_fts WHERE transcripts_fts MATCH ?)";
+					params.push(exact.match);
+				}
+
+				sql += groupByShow
+					? ` GROUP BY t.file ORDER BY score DESC, t.date ASC LIMIT ${limit} OFFSET ${currentOffset}`
+					: ` ORDER BY rank LIMIT ${currentLimit} OFFSET ${currentOffset}`;
+				const rows = db.prepare(sql).all(...params);
+				if (!groupByShow) return rows;
+
+				// Best segments of each show, found through the index by adding a file column filter
+				const snippetStmt = db.prepare(`
+        SELECT t.id, t.line, t.text_content,
+               snippet(${tableName}, 4, '<b>', '</b>', '...', 64) as highlight
+        FROM ${tableName} t
+        WHERE t.${tableName} MATCH ? AND t.file = ?
+        ORDER BY rank LIMIT ${snippetsPerShow}
+      `);
+				return rows.map((row) => ({
+					...row,
+					top: snippetStmt.all(`(${where.match}) AND ${fileMatchQuery(row.file)}`, row.file),
+				}));
+			};
+
+			const fuzzyAllowed = !isVerbatim && query.length >= 3;
+			const ftsStart = performance.now();
+			let results = [];
+			let totals;
+			try {
+				if (blend) {
+					// The page can draw from the top `limit` of either index
+					const exact = getSearchResults("transcripts_fts", 0);
+					const fuzzy = fuzzyAllowed
+						? getSearchResults("transcripts_fts_trigram", 0, limit, true)
+						: [];
+					results = blendResults(exact, fuzzy, parsed, { expand: expandWord, limit });
+					totals = fuzzyAllowed ? countBlended() : countMatches("transcripts_fts");
+				} else {
+					// 1. Try Exact/Porter search first
+					let tableName = "transcripts_fts";
+					let match = "exact";
+					totals = countMatches(tableName);
+
+					// 2. Fallback to Fuzzy/Trigram ONLY if verbatim search is NOT used AND there are no exact hits
+					// This prevents "Elian" from matching "reliance" when exact hits for Elian exist.
+					if (fuzzyAllowed && totals.hits === 0) {
+						tableName = "transcripts_fts_trigram";
+						match = "fuzzy";
+						totals = countMatches(tableName);
+					}
+
+					if (totals.hits > 0) {
+						results = getSearchResults(tableName, offset).map((r) => ({ ...r, match }));
+					}
+				}
+			} catch (ftsError) {
+				// The compiler quotes every word, so this is a bug rather than bad input
+				console.error("[FTS5 ERROR] Query failed:", {
+					query,
+					error: ftsError.message,
+				});
+				return res.status(400).json({ error: "Query error", message: ftsError.message });
+			}
+			res.locals.timing.fts = elapsed(ftsStart);
+			res.locals.enrichFrom = performance.now();
+
+			// "Did you mean" when nothing matched as typed, on the first page only
+			const suggestions =
+				offset === 0 && !results.some((r) => r.match === "exact")
+					? suggestCorrections(db, parsed, query)
+					: [];
+
+			// Each file is read once however many hits it has; unreadable ones fall back to the
+			// indexed text
+			const files = [...new Set(results.map((r) => r.file))];
+			const linesByFile = new Map(
+				await Promise.all(files.map(async (file) => [file, await transcriptLines(file)]))
+			);
+
+			if (groupByShow) {
+				const shows = results.map(({ top, ...show }) => {
+					const lines = linesByFile.get(show.file);
+					const anchors = showOffsets.get(show.date, show.type);
+					const firstTimestamp = lines ? timestampFromLine(lines[show.first_line]) : null;
+					return {
+						...show,
+						id: show.file,
+						first_timestamp: firstTimestamp,
+						first_link: showOffsets.deepLink(show.youtube_url, firstTimestamp, anchors),
+						snippets: top.map((hit) => {
+							const snippet = lines ? snippetFromLines(lines, hit.line, context) : hit.text_content;
+							return {
+								...hit,
+								snippet,
+								timestamp_links: timestampLinks(show.youtube_url, snippet, anchors),
+							};
+						}),
+					};
+				});
+				return res.json(envelope(shows, suggestions, totals, totals.shows));
+			}
+
+			const enriched = results.map((hit) => {
+				const lines = linesByFile.get(hit.file);
+				if (!lines) return { ...hit, snippet: hit.text_content };
+				const snippet = snippetFromLines(lines, hit.line, context);
+				const anchors = showOffsets.get(hit.date, hit.type);
+				return {
+					...hit,
+					snippet,
+					deep_link: showOffsets.deepLink(
+						hit.youtube_url,
+						timestampFromLine(lines[hit.line]),
+						anchors
+					),
+					timestamp_links: timestampLinks(hit.youtube_url, snippet, anchors),
+				};
+			});
+
+			res.json(envelope(enriched, suggestions, totals));
+		} catch (err) {
+			console.error(err);
+			res.status(500).json({ error: err.message });
+		}
+	})
+);
+
+// First day of the bucket a show falls in. Weeks start on Monday.
+const TREND_INTERVALS = {
+	year: "substr(s.date, 1, 4) || '-01-01'",
+	month: "substr(s.date, 1, 7) || '-01'",
+	week: "date(s.date, 'weekday 0', '-6 days')",
+};
+
+// Start of the bucket after `start` (YYYY-MM-DD)
+function nextPeriod(start, interval) {
+	const d = new Date(`${start}T00:00:00Z`);
+	if (interval === "year") d.setUTCFullYear(d.getUTCFullYear() + 1);
+	else if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+	else d.setUTCDate(d.getUTCDate() + 7);
+	return d.toISOString().slice(0, 10);
+}
+
+const dayBefore = (date) =>
+	new Date(Date.parse(`${date}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+
+/**
+ * Hits per year, month or week for a search, with the same query, type and date filters as
+ * /api/search. Empty buckets between the first and last hit are filled with zeros.
+ * With normalize=true every bucket also gets `rate`, its hits per 1,000 segments of the
+ * shows in that bucket (type and date filters apply to the denominator too).
+ */
+app.get("/api/trends", (req, res) => {
+	const query = req.query.q;
+	const interval = req.query.interval || "year";
+	const normalize = req.query.normalize === "true";
+
+	if (!TREND_INTERVALS[interval]) {
+		return res
+			.status(400)
+			.json({ error: "Invalid interval", message: "interval must be year, month or week" });
+	}
+	if (!isIndexed)
+		return res.status(503).json({
+			error: "Indexing",
+			progress: jobProgress(currentJob),
 		});
+	if (!query || !query.trim()) {
+		return res.json({ interval, normalized: normalize, match: null, buckets: [] });
+	}
+
+	const dateFilters = readDateFilters(req, res);
+	if (!dateFilters) return;
+	const parsed = readParsedQuery(query, res);
+	if (!parsed) return;
+
+	const bucket = TREND_INTERVALS[interval];
+	const countHits = (tableName) => {
+		const where = searchWhere(tableName, parsed, { type: req.query.type, dateFilters });
+		return db
+			.prepare(
+				`SELECT ${bucket} as start, COUNT(*) as hits, COUNT(DISTINCT t.file) as shows
+         ${where.sql} AND s.year IS NOT NULL
+         GROUP BY start ORDER BY start`
+			)
+			.all(...where.params);
+	};
+
+	try {
+		let match = "exact";
+		let rows;
+		try {
+			rows = countHits("transcripts_fts");
+			// Same fallback as /api/search
+			if (rows.length === 0 && !parsed.verbatim && query.length >= 3) {
+				rows = countHits("transcripts_fts_trigram");
+				match = "fuzzy";
+			}
+		} catch (ftsError) {
+			console.error("[FTS5 ERROR] Trends query failed:", { query, error: ftsError.message });
+			return res.status(400).json({ error: "Query error", message: ftsError.message });
+		}
+
+		let segmentsByStart = null;
+		if (normalize) {
+			const dates = compileDateFilters(dateFilters, SHOW_DATE_COLUMNS);
+			segmentsByStart = new Map(
+				db
+					.prepare(
+						`SELECT ${bucket} as start, SUM(s.segments) as segments FROM shows s
+             WHERE s.type = ? AND s.year IS NOT NULL ${dates.sql}
+             GROUP BY start`
+					)
+					.all(req.query.type || "show", ...dates.params)
+					.map((r) => [r.start, r.segments])
+			);
+		}
+
+		const byStart = new Map(rows.map((r) => [r.start, r]));
+		const buckets = [];
+		if (rows.length > 0) {
+			const last = rows[rows.length - 1].start;
+			for (let start = rows[0].start; start <= last; start = nextPeriod(start, interval)) {
+				const row = byStart.get(start) || { hits: 0, shows: 0 };
+				const entry = {
+					period:
+						interval === "year"
+							? start.slice(0, 4)
+							: interval === "month"
+							? start.slice(0, 7)
+							: start,
+					from: start,
+					to: dayBefore(nextPeriod(start, interval)),
+					hits: row.hits,
+					shows: row.shows,
+				};
+				if (segmentsByStart) {
+					entry.segments = segmentsByStart.get(start) || 0;
+					entry.rate = entry.segments
+						? Math.round((entry.hits / entry.segments) * 1000 * 100) / 100
+						: 0;
+				}
+				buckets.push(entry);
+			}
+		}
 
-		res.json(enriched);
+		res.json({ interval, normalized: normalize, match, buckets });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: err.message });
 	}
 });
 
-app.get("/api/shows", (req, res) => {
+app.get("/api/shows", cachedJson("shows"), (req, res) => {
 	const yearsParam = req.query.years;
 	const typeParam = req.query.type;
 	if (!isIndexed)
 		return res.status(503).json({
 			error: "Indexing",
-			progress: Math.round((indexingProgress.current / indexingProgress.total) * 100),
+			progress: jobProgress(currentJob),
 		});
 
+	const dateFilters = readDateFilters(req, res);
+	if (!dateFilters) return;
+
 	console.log(
 		`[API] Fetching shows for years: ${yearsParam || "ALL"}, type: ${typeParam || "ALL"}`
 	);
 
 	try {
 		let sql = `
-      SELECT s.date, s.file, COALESCE(l.youtube_url, s.youtube_url) as youtube_url, l.host, COALESCE(l.custom_title, s.custom_title) as custom_title, s.type
+      SELECT s.rowid as id, s.date, s.file, COALESCE(l.youtube_url, s.youtube_url) as youtube_url, l.host, COALESCE(l.custom_title, s.custom_title) as custom_title, s.type, l.notes, l.info
       FROM shows s
       LEFT JOIN show_links l ON (s.date = l.date AND s.type = 'show')
       WHERE 1=1
@@ -540,15 +2026,14 @@ app.get("/api/shows", (req, res) => {
 		sql += ` AND s.type = ? `;
 		params.push(typeValue);
 
-		if (yearsParam) {
-			const years = yearsParam.split(",");
-			const yearPlaceholders = years.map(() => "s.date LIKE ?").join(" OR ");
-			sql += ` AND (${yearPlaceholders}) `;
-			years.forEach((y) => params.push(`${y}%`));
-		}
+		const dates = compileDateFilters(dateFilters, SHOW_DATE_COLUMNS);
+		sql += dates.sql;
+		params.push(...dates.params);
 
 		sql += ` ORDER BY s.date ASC`;
+		const ftsStart = performance.now();
 		const results = db.prepare(sql).all(...params);
+		res.locals.timing.fts = elapsed(ftsStart);
 		res.json(results);
 	} catch (err) {
 		console.error(err);
@@ -556,15 +2041,862 @@ app.get("/api/shows", (req, res) => {
 	}
 });
 
-app.get("/api/transcript", (req, res) => {
-	const relPath = req.query.file;
-	if (!relPath) return res.status(400).send("Missing file param");
-	const fullPath = getFullPath(relPath);
-	if (fs.existsSync(fullPath)) {
-		fs.readFile(fullPath, "utf8", (err, data) => res.send(data));
-	} else {
-		res.status(404).send("Not Found");
+// A show's segments exactly as the indexer splits them, so their lines match search hits
+async function readShowSegments(show) {
+	const fileInfo = { path: getFullPath(show.file), type: show.type, relativePath: show.file };
+	const { content, lines } = await transcriptCache.read(fileInfo.path);
+
+	return parseTranscript(fileInfo, content).docs.map((doc) => {
+		const header = lines[doc.line] || "";
+		const range = header.match(/^\[(\S+) --> (\S+)\]/);
+		const text = doc.text_content.trim();
+		return {
+			line: doc.line,
+			start: range ? range[1] : timestampFromLine(header),
+			end: range ? range[2] : null,
+			// Best Of lines carry their timestamp in the text itself
+			text: show.type === "best_of" ? text.replace(/^\d{1,2}:\d{2}(?::\d{2})?\s+/, "") : text,
+		};
+	});
+}
+
+// A transcript timestamp in seconds of the recording, or null without one
+function recordingSeconds(anchors, timestamp) {
+	const seconds = timestamp ? toSeconds(timestamp) : NaN;
+	return Number.isFinite(seconds) ? videoSeconds(anchors, seconds) : null;
+}
+
+// One show and its segments for the transcript reader. With `q`, `hits` lists the lines of
+// the segments matching it, found the same way /api/search finds them.
+app.get(
+	"/api/shows/:date",
+	cachedJson("show"),
+	asyncRoute(async (req, res) => {
+		if (!isIndexed)
+			return res.status(503).json({
+				error: "Indexing",
+				progress: jobProgress(currentJob),
+			});
+
+		const show = db
+			.prepare(
+				`SELECT s.rowid as id, s.date, s.file, s.type, COALESCE(l.youtube_url, s.youtube_url) as youtube_url,
+              l.host, COALESCE(l.custom_title, s.custom_title) as custom_title, l.notes, l.info
+       FROM shows s
+       LEFT JOIN show_links l ON (s.date = l.date AND s.type = 'show')
+       WHERE s.date = ? AND s.type = ? LIMIT 1`
+			)
+			.get(req.params.date, req.query.type || "show");
+		if (!show) return res.status(404).json({ error: "Show not found" });
+
+		// Segments carry their start in the recording and a deep link, both offset-corrected
+		const enrichStart = performance.now();
+		const anchors = showOffsets.get(show.date, show.type);
+		let segments;
+		try {
+			segments = (await readShowSegments(show)).map((segment) => ({
+				...segment,
+				video_start: recordingSeconds(anchors, segment.start),
+				link: showOffsets.deepLink(show.youtube_url, segment.start, anchors),
+			}));
+		} catch (err) {
+			console.error("[READER ERROR]", err.message);
+			return res.status(404).json({ error: "Transcript file missing" });
+		}
+		res.locals.timing.enrich = elapsed(enrichStart);
+
+		let hits = [];
+		const query = req.query.q;
+		if (query && query.trim()) {
+			const parsed = readParsedQuery(query, res);
+			if (!parsed) return;
+
+			const tables = ["transcripts_fts"];
+			if (!parsed.verbatim && query.length >= 3) tables.push("transcripts_fts_trigram");
+			const ftsStart = performance.now();
+			try {
+				for (const tableName of tables) {
+					const { match } = compileQuery(parsed, {
+						trigram: tableName === "transcripts_fts_trigram",
+						expand: expandWord,
+					});
+					hits = db
+						.prepare(`SELECT line FROM ${tableName} WHERE ${tableName} MATCH ? AND file = ?`)
+						.all(`(${match}) AND ${fileMatchQuery(show.file)}`, show.file)
+						.map((r) => Number(r.line))
+						.sort((a, b) => a - b);
+					if (hits.length > 0) break;
+				}
+			} catch (ftsError) {
+				console.error("[FTS5 ERROR] Reader query failed:", { query, error: ftsError.message });
+				return res.status(400).json({ error: "Query error", message: ftsError.message });
+			}
+			res.locals.timing.fts = elapsed(ftsStart);
+		}
+
+		res.json({ show: { ...show, offsets: anchors }, segments, hits });
+	})
+);
+
+// Which years and months have shows, with counts, for the year chips
+app.get("/api/calendar", (req, res) => {
+	if (!isIndexed)
+		return res.status(503).json({
+			error: "Indexing",
+			progress: jobProgress(currentJob),
+		});
+
+	try {
+		const rows = db
+			.prepare(
+				`SELECT year, month, COUNT(*) as shows FROM shows
+         WHERE type = ? AND year IS NOT NULL
+         GROUP BY year, month ORDER BY year, month`
+			)
+			.all(req.query.type || "show");
+
+		const years = [];
+		for (const row of rows) {
+			let entry = years[years.length - 1];
+			if (!entry || entry.year !== row.year) {
+				entry = { year: row.year, shows: 0, months: [] };
+				years.push(entry);
+			}
+			entry.shows += row.shows;
+			entry.months.push({ month: row.month, shows: row.shows });
+		}
+		res.json({ years });
+	} catch (err) {
+		console.error(err);
+		res.status(500).json({ error: err.message });
+	}
+});
+
+// Raw text of one show's transcript, looked up by `id` (from /api/shows) or by `date` and
+// `type`. Only files registered in the shows table are served, never a path from the request.
+// Supports conditional requests and line ranges (see line_range.js) for paging big shows.
+app.get(
+	"/api/transcript",
+	asyncRoute(async (req, res) => {
+		if (!isIndexed)
+			return res.status(503).json({
+				error: "Indexing",
+				progress: jobProgress(currentJob),
+			});
+
+		const { id, date } = req.query;
+		let show;
+		if (id !== undefined) {
+			if (!/^\d+$/.test(id)) return res.status(400).json({ error: "Invalid id" });
+			show = db
+				.prepare("SELECT rowid as id, date, file, type FROM shows WHERE rowid = ?")
+				.get(Number(id));
+		} else if (date) {
+			show = db
+				.prepare(
+					"SELECT rowid as id, date, file, type FROM shows WHERE date = ? AND type = ? LIMIT 1"
+				)
+				.get(date, req.query.type || "show");
+		} else {
+			return res.status(400).json({ error: "Missing show", message: "Pass id or date" });
+		}
+		if (!show) return res.status(404).json({ error: "Show not found" });
+
+		const fullPath = transcriptPath(show.file);
+		if (!fullPath) {
+			console.error(`[TRANSCRIPT] Refusing ${show.file}: outside the transcript folders`);
+			return res.status(404).json({ error: "Transcript file missing" });
+		}
+		let entry;
+		try {
+			entry = await transcriptCache.read(fullPath);
+		} catch (err) {
+			console.error("[TRANSCRIPT ERROR]", err.message);
+			return res.status(404).json({ error: "Transcript file missing" });
+		}
+
+		// Approving a correction changes the text without touching the file
+		const fixes = corrections.applied(show.file);
+		const modifiedMs = fixes.reduce(
+			(latest, fix) => Math.max(latest, Date.parse(fix.reviewed_at)),
+			entry.mtimeMs
+		);
+		const version = [entry.size, Math.floor(modifiedMs), fixes.length].map((n) => n.toString(16));
+		res.set({
+			ETag: `W/"${version.join("-")}"`,
+			"Last-Modified": new Date(modifiedMs).toUTCString(),
+			"Cache-Control": "no-cache",
+			"Accept-Ranges": "lines",
+		});
+		if (req.fresh) return res.status(304).end();
+
+		// Other range units (bytes) are ignored, as HTTP allows, and the whole file is sent
+		const header = req.get("Range");
+		const spec = header && header.startsWith("lines=") ? header : req.query.lines;
+		if (!spec) return res.type("text/plain; charset=utf-8").send(entry.content);
+
+		const total = entry.lines.length;
+		let range;
+		try {
+			range = parseLineRange(spec, total);
+		} catch (err) {
+			if (!(err instanceof LineRangeError)) throw err;
+			return res.status(400).json({ error: "Invalid range", message: err.message });
+		}
+		if (!range) {
+			res.set("Content-Range", `lines */${total}`);
+			return res.status(416).json({ error: "Range not satisfiable", total_lines: total });
+		}
+
+		res
+			.status(206)
+			.set("Content-Range", `lines ${range.start}-${range.end}/${total}`)
+			.type("text/plain; charset=utf-8")
+			.send(entry.lines.slice(range.start, range.end + 1).join("\n"));
+	})
+);
+
+// Exports are read from the index this many rows at a time, so memory stays flat however
+// many hits there are
+const EXPORT_CHUNK_ROWS = 500;
+
+// Write `pieces` (strings, sync or async iterable) to the response, pausing whenever its
+// buffer is full. Stops early if the client goes away.
+async function streamPieces(res, pieces) {
+	for await (const piece of pieces) {
+		if (res.destroyed) return;
+		if (piece && !res.write(piece)) {
+			await new Promise((resolve) => {
+				const done = () => {
+					res.off("drain", done);
+					res.off("close", done);
+					resolve();
+				};
+				res.on("drain", done);
+				res.on("close", done);
+			});
+		}
+	}
+	res.end();
+}
+
+// `rick-suds` for a download name
+const fileSlug = (text) =>
+	text
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-|-$/g, "")
+		.slice(0, 40) || "export";
+
+// Mark the response as a file download named `name`; the body is written by the caller
+function setDownloadHeaders(res, { contentType, extension }, name) {
+	res.set({
+		"Content-Type": contentType,
+		"Content-Disposition": `attachment; filename="${name}.${extension}"`,
+	});
+}
+
+// Every hit of a search as CSV, JSON or Markdown, in date order. Takes the /api/search query
+// parameters (q, type and the date filters) plus format=csv|json|md. Timestamps are in
+// recording time, corrected by the show's offsets like the deep links.
+app.get(
+	"/api/export/search",
+	asyncRoute(async (req, res) => {
+		if (!isIndexed)
+			return res.status(503).json({
+				error: "Indexing",
+				progress: jobProgress(currentJob),
+			});
+
+		const format = req.query.format || "csv";
+		if (!HIT_FORMATS[format]) {
+			return res.status(400).json({
+				error: "Invalid format",
+				message: `format must be one of ${Object.keys(HIT_FORMATS).join(", ")}`,
+			});
+		}
+		const query = req.query.q;
+		if (!query || !query.trim()) return res.status(400).json({ error: "Missing query" });
+		const dateFilters = readDateFilters(req, res);
+		if (!dateFilters) return;
+		const parsed = readParsedQuery(query, res);
+		if (!parsed) return;
+		const type = req.query.type || "show";
+
+		// The next chunk of hits. Each picks up after the last row of the previous one instead of
+		// sorting and skipping everything before it.
+		let readChunk;
+		try {
+			if (type === "notes") {
+				const notesQuery = parsed.groups.map((g) => toFts(g, { expand: expandWord })).join(" AND ");
+				const where = showNotesWhere(notesQuery, parsed.filters, dateFilters);
+				// Run once here so a failing query is a 400 rather than a broken download
+				db.prepare(`SELECT 1 ${where.sql} LIMIT 1`).get(...where.params);
+
+				const stmt = db.prepare(`
+        SELECT n.rowid as id, n.date, l.notes, l.info, l.youtube_url, l.host, l.custom_title
+        ${where.sql}
+          AND (n.date, n.rowid) > (?, ?)
+        ORDER BY n.date, n.rowid
+        LIMIT ${EXPORT_CHUNK_ROWS}
+      `);
+				let after = ["", 0];
+				readChunk = async () => {
+					const rows = stmt.all(...where.params, ...after);
+					if (rows.length > 0) {
+						const last = rows[rows.length - 1];
+						after = [last.date, last.id];
+					}
+					return rows.map((row) => ({
+						date: row.date,
+						title: row.custom_title,
+						host: row.host,
+						timestamp: null,
+						deep_link: row.youtube_url,
+						text: [row.notes, row.info].filter(Boolean).join("\n"),
+					}));
+				};
+			} else {
+				// Same index choice as /api/search: trigram only when the porter index has nothing
+				const hasMatches = (tableName) => {
+					const where = searchWhere(tableName, parsed, { type, dateFilters });
+					return !!db.prepare(`SELECT 1 ${where.sql} LIMIT 1`).get(...where.params);
+				};
+				let tableName = "transcripts_fts";
+				if (!parsed.verbatim && query.length >= 3 && !hasMatches(tableName)) {
+					tableName = "transcripts_fts_trigram";
+				}
+
+				const where = searchWhere(tableName, parsed, { type, dateFilters });
+				const stmt = db.prepare(`
+        SELECT t.file, t.line, t.date, t.text_content, t.type,
+               COALESCE(l.youtube_url, s.youtube_url) as youtube_url,
+               l.host,
+               COALESCE(l.custom_title, s.custom_title) as custom_title
+        ${where.sql}
+          AND (t.date, t.file, CAST(t.line AS INTEGER)) > (?, ?, ?)
+        ORDER BY t.date, t.file, CAST(t.line AS INTEGER)
+        LIMIT ${EXPORT_CHUNK_ROWS}
+      `);
+				let after = ["", "", -1];
+				readChunk = async () => {
+					const rows = stmt.all(...where.params, ...after);
+					if (rows.length > 0) {
+						const last = rows[rows.length - 1];
+						after = [last.date, last.file, Math.trunc(last.line)];
+					}
+					const hits = [];
+					for (const row of rows) {
+						const lines = await transcriptLines(row.file);
+						const raw = lines ? timestampFromLine(lines[row.line]) : null;
+						const seconds = raw ? toSeconds(raw) : NaN;
+						const anchors = showOffsets.get(row.date, row.type);
+						hits.push({
+							date: row.date,
+							title: row.custom_title,
+							host: row.host,
+							timestamp: Number.isFinite(seconds)
+								? clockTime(videoSeconds(anchors, seconds))
+								: null,
+							deep_link: showOffsets.deepLink(row.youtube_url, raw, anchors),
+							text: row.text_content.trim(),
+						});
+					}
+					return hits;
+				};
+			}
+		} catch (ftsError) {
+			console.error("[FTS5 ERROR] Export query failed:", { query, error: ftsError.message });
+			return res.status(400).json({ error: "Query error", message: ftsError.message });
+		}
+
+		const writer = createHitWriter(format, {
+			query,
+			type,
+			exportedAt: new Date().toISOString(),
+		});
+		async function* pieces() {
+			yield writer.head();
+			let hits;
+			do {
+				hits = await readChunk();
+				for (const hit of hits) yield writer.row(hit);
+			} while (hits.length === EXPORT_CHUNK_ROWS);
+			yield writer.tail();
+		}
+
+		setDownloadHeaders(res, HIT_FORMATS[format], `nrs-search-${fileSlug(query)}`);
+		try {
+			await streamPieces(res, pieces());
+		} catch (err) {
+			// Headers are gone, so all that's left is cutting the download short
+			console.error("[EXPORT ERROR]", err.message);
+			res.destroy(err);
+		}
+	})
+);
+
+// One show's transcript as WebVTT, SRT or plain text (format=vtt|srt|txt, type=best_of for a
+// Best Of collection). Times are normalized to HH:MM:SS.mmm in recording time.
+app.get(
+	"/api/export/shows/:date",
+	asyncRoute(async (req, res) => {
+		if (!isIndexed)
+			return res.status(503).json({
+				error: "Indexing",
+				progress: jobProgress(currentJob),
+			});
+
+		const format = req.query.format || "vtt";
+		if (!TRANSCRIPT_FORMATS[format]) {
+			return res.status(400).json({
+				error: "Invalid format",
+				message: `format must be one of ${Object.keys(TRANSCRIPT_FORMATS).join(", ")}`,
+			});
+		}
+
+		const show = db
+			.prepare(
+				`SELECT s.date, s.file, s.type, COALESCE(l.custom_title, s.custom_title) as custom_title
+       FROM shows s
+       LEFT JOIN show_links l ON (s.date = l.date AND s.type = 'show')
+       WHERE s.date = ? AND s.type = ? LIMIT 1`
+			)
+			.get(req.params.date, req.query.type || "show");
+		if (!show) return res.status(404).json({ error: "Show not found" });
+
+		let segments;
+		try {
+			segments = await readShowSegments(show);
+		} catch (err) {
+			console.error("[EXPORT ERROR]", err.message);
+			return res.status(404).json({ error: "Transcript file missing" });
+		}
+
+		const anchors = showOffsets.get(show.date, show.type);
+		const timed = segments.map((segment) => ({
+			start: recordingSeconds(anchors, segment.start),
+			end: recordingSeconds(anchors, segment.end),
+			text: segment.text,
+		}));
+		const title = show.custom_title ? `${show.date} ${show.custom_title}` : show.date;
+
+		const name = show.type === "show" ? `nrs-${show.date}` : `nrs-${show.type}-${show.date}`;
+		setDownloadHeaders(res, TRANSCRIPT_FORMATS[format], fileSlug(name));
+		try {
+			await streamPieces(res, transcriptPieces(format, timed, { title }));
+		} catch (err) {
+			console.error("[EXPORT ERROR]", err.message);
+			res.destroy(err);
+		}
+	})
+);
+
+const accounts = createAccounts(db);
+const clips = createClips(db);
+
+// Longest clip, in transcript lines
+const MAX_CLIP_LINES = 400;
+
+const SESSION_COOKIE_OPTIONS = {
+	httpOnly: true,
+	sameSite: "lax",
+	secure: process.env.NODE_ENV === "production",
+	path: "/",
+};
+
+function readCookie(req, name) {
+	for (const part of (req.get("cookie") || "").split(";")) {
+		const [key, ...value] = part.trim().split("=");
+		if (key !== name) continue;
+		try {
+			return decodeURIComponent(value.join("="));
+		} catch {
+			// Malformed, so it can't be a session we handed out
+			return null;
+		}
+	}
+	return null;
+}
+
+// The logged-in user, or null
+const currentUser = (req) => accounts.userForSession(readCookie(req, SESSION_COOKIE));
+
+function requireUser(req, res, next) {
+	req.user = currentUser(req);
+	if (!req.user) return res.status(401).json({ error: "Not logged in" });
+	next();
+}
+
+function setSessionCookie(res, token) {
+	res.cookie(SESSION_COOKIE, token, {
+		...SESSION_COOKIE_OPTIONS,
+		maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000,
+	});
+}
+
+// Body: { username, password }. Logs the new account in.
+app.post(
+	"/api/auth/register",
+	asyncRoute(async (req, res) => {
+		let session;
+		try {
+			session = await accounts.register(req.body);
+		} catch (err) {
+			if (!(err instanceof AccountError)) throw err;
+			return res.status(400).json({ error: "Invalid account", message: err.message });
+		}
+		if (!session) return res.status(409).json({ error: "Username taken" });
+		console.log(`[ACCOUNTS] Registered ${session.user.username}`);
+		setSessionCookie(res, session.token);
+		res.status(201).json({ user: session.user });
+	})
+);
+
+app.post(
+	"/api/auth/login",
+	asyncRoute(async (req, res) => {
+		const session = await accounts.login(req.body);
+		if (!session) return res.status(401).json({ error: "Wrong username or password" });
+		setSessionCookie(res, session.token);
+		res.json({ user: session.user });
+	})
+);
+
+app.post("/api/auth/logout", (req, res) => {
+	accounts.logout(readCookie(req, SESSION_COOKIE));
+	res.clearCookie(SESSION_COOKIE, SESSION_COOKIE_OPTIONS);
+	res.status(204).end();
+});
+
+app.get("/api/auth/me", (req, res) => {
+	res.json({ user: currentUser(req) });
+});
+
+/**
+ * Clips with everything needed to show and play them: the show's title and link, the
+ * transcript lines they cover as `snippet`, and corrected deep links for the start and for
+ * every timestamp in the snippet, the same `timestamp_links` search hits carry.
+ */
+async function describeClips(rows) {
+	const showStmt = db.prepare(
+		`SELECT COALESCE(l.youtube_url, s.youtube_url) as youtube_url, l.host,
+            COALESCE(l.custom_title, s.custom_title) as custom_title
+     FROM shows s
+     LEFT JOIN show_links l ON (s.date = l.date AND s.type = 'show')
+     WHERE s.file = ?`
+	);
+	const files = [...new Set(rows.map((clip) => clip.file))];
+	const shows = new Map(files.map((file) => [file, showStmt.get(file) || {}]));
+	const linesByFile = new Map(
+		await Promise.all(files.map(async (file) => [file, await transcriptLines(file)]))
+	);
+
+	return rows.map(({ user_id, ...clip }) => {
+		const show = shows.get(clip.file);
+		const lines = linesByFile.get(clip.file);
+		const anchors = showOffsets.get(clip.date, clip.type);
+		let snippet = "";
+		let start = null;
+		if (lines) {
+			// Through the last text line of the end segment
+			const last = locateSegment(lines, clip.end_line, clip.type);
+			const end = last ? Math.max(clip.end_line, ...last.textLines) : clip.end_line;
+			snippet = lines
+				.slice(clip.start_line, end + 1)
+				.filter((line) => line.trim())
+				.join("\n");
+			start = timestampFromLine(lines[clip.start_line]);
+		}
+		return {
+			...clip,
+			custom_title: show.custom_title || null,
+			host: show.host || null,
+			youtube_url: show.youtube_url || null,
+			start,
+			link: showOffsets.deepLink(show.youtube_url, start, anchors),
+			snippet,
+			timestamp_links: timestampLinks(show.youtube_url, snippet, anchors),
+		};
+	});
+}
+
+app.get(
+	"/api/clips",
+	requireUser,
+	asyncRoute(async (req, res) => {
+		res.json({ clips: await describeClips(clips.listClips(req.user.id)) });
+	})
+);
+
+// Body: { date, type?, start_line, end_line?, note? }. The lines are segment `line`s as
+// search hits and the reader report them; end_line defaults to start_line.
+app.post(
+	"/api/clips",
+	requireUser,
+	asyncRoute(async (req, res) => {
+		const { date, type = "show", start_line: startLine, note } = req.body || {};
+		const endLine = req.body && req.body.end_line !== undefined ? req.body.end_line : startLine;
+		if (
+			typeof date !== "string" ||
+			!Number.isInteger(startLine) ||
+			!Number.isInteger(endLine) ||
+			startLine < 0 ||
+			endLine < startLine
+		) {
+			return res.status(400).json({
+				error: "Invalid clip",
+				message: "Expected a show date and start_line no later than end_line",
+			});
+		}
+		if (endLine - startLine > MAX_CLIP_LINES) {
+			return res
+				.status(400)
+				.json({ error: "Invalid clip", message: `Clips span at most ${MAX_CLIP_LINES} lines` });
+		}
+
+		const show = db
+			.prepare("SELECT date, file, type FROM shows WHERE date = ? AND type = ? LIMIT 1")
+			.get(date, type);
+		if (!show) return res.status(404).json({ error: "Show not found" });
+		const lines = await transcriptLines(show.file);
+		if (!lines) return res.status(404).json({ error: "Transcript file missing" });
+		if (!locateSegment(lines, startLine, show.type) || !locateSegment(lines, endLine, show.type)) {
+			return res
+				.status(400)
+				.json({ error: "Invalid clip", message: "start_line and end_line must start segments" });
+		}
+
+		let clip;
+		try {
+			clip = clips.createClip(
+				req.user.id,
+				{ ...show, start_line: startLine, end_line: endLine },
+				note
+			);
+		} catch (err) {
+			if (!(err instanceof ClipError)) throw err;
+			return res.status(400).json({ error: "Invalid clip", message: err.message });
+		}
+		const [described] = await describeClips([clip]);
+		res.status(201).json({ ...described, collections: [] });
+	})
+);
+
+// Body: { note }
+app.patch(
+	"/api/clips/:id",
+	requireUser,
+	asyncRoute(async (req, res) => {
+		let clip;
+		try {
+			clip = clips.updateClip(req.user.id, Number(req.params.id), req.body);
+		} catch (err) {
+			if (!(err instanceof ClipError)) throw err;
+			return res.status(400).json({ error: "Invalid clip", message: err.message });
+		}
+		if (!clip) return res.status(404).json({ error: "Clip not found" });
+		const [described] = await describeClips([clip]);
+		res.json(described);
+	})
+);
+
+app.delete("/api/clips/:id", requireUser, (req, res) => {
+	if (!clips.deleteClip(req.user.id, Number(req.params.id))) {
+		return res.status(404).json({ error: "Clip not found" });
 	}
+	res.status(204).end();
+});
+
+const publicCollection = ({ user_id, ...collection }) => ({
+	...collection,
+	public: collection.public === 1,
+});
+
+app.get("/api/collections", requireUser, (req, res) => {
+	res.json({ collections: clips.listCollections(req.user.id).map(publicCollection) });
+});
+
+// Body: { name, description?, public? }
+app.post("/api/collections", requireUser, (req, res) => {
+	try {
+		const collection = clips.createCollection(req.user.id, req.body);
+		res.status(201).json(publicCollection(collection));
+	} catch (err) {
+		if (!(err instanceof ClipError)) throw err;
+		res.status(400).json({ error: "Invalid collection", message: err.message });
+	}
+});
+
+// A collection and its clips, for its owner or, once public, anyone with the link
+app.get(
+	"/api/collections/:id",
+	asyncRoute(async (req, res) => {
+		const collection = clips.getCollection(req.params.id);
+		const user = currentUser(req);
+		if (!collection || (!collection.public && !(user && user.id === collection.user_id))) {
+			return res.status(404).json({ error: "Collection not found" });
+		}
+		res.json({
+			collection: {
+				...publicCollection(collection),
+				mine: !!user && user.id === collection.user_id,
+			},
+			clips: await describeClips(clips.collectionClips(collection.id)),
+		});
+	})
+);
+
+// Body: any of { name, description, public }
+app.patch("/api/collections/:id", requireUser, (req, res) => {
+	let collection;
+	try {
+		collection = clips.updateCollection(req.user.id, req.params.id, req.body || {});
+	} catch (err) {
+		if (!(err instanceof ClipError)) throw err;
+		return res.status(400).json({ error: "Invalid collection", message: err.message });
+	}
+	if (!collection) return res.status(404).json({ error: "Collection not found" });
+	res.json(publicCollection(collection));
+});
+
+app.delete("/api/collections/:id", requireUser, (req, res) => {
+	if (!clips.deleteCollection(req.user.id, req.params.id)) {
+		return res.status(404).json({ error: "Collection not found" });
+	}
+	res.status(204).end();
+});
+
+// Body: { clip_id }. Adds one of the user's clips to the end of the collection.
+app.post("/api/collections/:id/clips", requireUser, (req, res) => {
+	const clipId = req.body && req.body.clip_id;
+	if (!Number.isInteger(clipId)) return res.status(400).json({ error: "Expected a clip_id" });
+	if (!clips.addToCollection(req.user.id, req.params.id, clipId)) {
+		return res.status(404).json({ error: "Collection or clip not found" });
+	}
+	res.json(publicCollection(clips.getCollection(req.params.id)));
+});
+
+app.delete("/api/collections/:id/clips/:clipId", requireUser, (req, res) => {
+	if (!clips.removeFromCollection(req.user.id, req.params.id, Number(req.params.clipId))) {
+		return res.status(404).json({ error: "Clip not in this collection" });
+	}
+	res.status(204).end();
+});
+
+/**
+ * One show's segments from the one starting at line `start` to the one starting at `end`
+ * (query parameters, `end` defaulting to `start`), for clip pages and their cards. Null if the
+ * show or its transcript doesn't exist; throws ClipError when the lines don't start segments.
+ */
+async function loadClip(date, query) {
+	const start = Number(query.start);
+	const end = query.end === undefined ? start : Number(query.end);
+	if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+		throw new ClipError("Expected start and end segment lines, start no later than end");
+	}
+	if (end - start > MAX_CLIP_LINES) {
+		throw new ClipError(`Clips span at most ${MAX_CLIP_LINES} lines`);
+	}
+
+	const show = db
+		.prepare(
+			`SELECT s.rowid as id, s.date, s.file, s.type, COALESCE(l.youtube_url, s.youtube_url) as youtube_url,
+              l.host, COALESCE(l.custom_title, s.custom_title) as custom_title
+       FROM shows s
+       LEFT JOIN show_links l ON (s.date = l.date AND s.type = 'show')
+       WHERE s.date = ? AND s.type = ? LIMIT 1`
+		)
+		.get(date, query.type || "show");
+	if (!show) return null;
+
+	let segments;
+	try {
+		segments = await readShowSegments(show);
+	} catch (err) {
+		console.error("[CLIP ERROR]", err.message);
+		return null;
+	}
+	const first = segments.findIndex((segment) => segment.line === start);
+	const last = segments.findIndex((segment) => segment.line === end);
+	if (first < 0 || last < 0) throw new ClipError("start and end must be segment lines");
+
+	const anchors = showOffsets.get(show.date, show.type);
+	const excerpt = segments.slice(first, last + 1).map((segment) => ({
+		...segment,
+		video_start: recordingSeconds(anchors, segment.start),
+		link: showOffsets.deepLink(show.youtube_url, segment.start, anchors),
+	}));
+	// The last segment ends where its header says, or where the next one starts
+	const after = segments[last + 1];
+	const endTime = segments[last].end || (after ? after.start : null);
+
+	return {
+		show: { ...show, title: showTitle(show) },
+		start_line: start,
+		end_line: end,
+		video_start: excerpt[0].video_start,
+		video_end: recordingSeconds(anchors, endTime),
+		link: excerpt[0].link,
+		segments: excerpt,
+	};
+}
+
+// Query string of a clip's page and card
+const clipParams = (clip) => {
+	const params = new URLSearchParams({ start: clip.start_line, end: clip.end_line });
+	if (clip.show.type !== "show") params.set("type", clip.show.type);
+	return params.toString();
+};
+
+// Absolute URLs for link previews. PUBLIC_URL overrides the request's own host, e.g. behind a
+// proxy that doesn't pass it on.
+const publicUrl = (req, pathAndQuery) =>
+	`${(process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(
+		/\/$/,
+		""
+	)}${pathAndQuery}`;
+
+async function readClip(req, res, next) {
+	if (!isIndexed) {
+		res.status(503).json({ error: "Indexing", progress: jobProgress(currentJob) });
+		return null;
+	}
+	let clip;
+	try {
+		clip = await loadClip(req.params.date, req.query);
+	} catch (err) {
+		if (err instanceof ClipError) {
+			res.status(400).json({ error: "Invalid clip", message: err.message });
+		} else {
+			next(err);
+		}
+		return null;
+	}
+	if (!clip) res.status(404).json({ error: "Show not found" });
+	return clip;
+}
+
+// A range of segments from one show: start and end are segment lines (type=best_of for a
+// Best Of collection). Times are in recording time; video_end is null when unknown.
+app.get("/api/clip/:date", async (req, res, next) => {
+	const clip = await readClip(req, res, next);
+	if (!clip) return;
+	res.json({ ...clip, card_url: `/api/clip/${clip.show.date}/card.png?${clipParams(clip)}` });
+});
+
+// The clip's quote card, a 1200x630 PNG for link previews
+app.get("/api/clip/:date/card.png", async (req, res, next) => {
+	const clip = await readClip(req, res, next);
+	if (!clip) return;
+	const times = [clip.video_start, clip.video_end].filter((t) => t !== null).map(clockTime);
+	const png = renderQuoteCard({
+		title: clip.show.title,
+		quote: clipQuote(clip.segments),
+		footer: times.join(" - "),
+	});
+	res.set("Cache-Control", "public, max-age=86400");
+	res.type("png").send(png);
 });
 
 // Serve static files from React build in production
@@ -572,27 +2904,69 @@ if (process.env.NODE_ENV === "production") {
 	const clientDist = path.resolve(__dirname, "../client-app/dist");
 	app.use(express.static(clientDist));
 
-	// Handle SPA routing: serve index.html for non-API routes
+	// Clip pages carry the clip's title, quote and card in their meta tags for link previews
+	app.get("/clip/:date", async (req, res, next) => {
+		try {
+			const clip = isIndexed ? await loadClip(req.params.date, req.query) : null;
+			// The app shows the error itself
+			if (!clip) return next();
+
+			const html = await fs.promises.readFile(path.join(clientDist, "index.html"), "utf8");
+			res.send(
+				clipPageHtml(html, clip, {
+					page: publicUrl(req, req.originalUrl),
+					image: publicUrl(req, `/api/clip/${clip.show.date}/card.png?${clipParams(clip)}`),
+				})
+			);
+		} catch (err) {
+			next(err instanceof ClipError ? undefined : err);
+		}
+	});
+
+	// Handle SPA routing: deep links like /search?q=..., /shows and /show/1999-01-04 all load
+	// index.html and the client reads its state from the URL. Unknown API paths still 404.
 	app.get("*", (req, res) => {
-		if (!req.path.startsWith("/api/")) {
-			res.sendFile(path.join(clientDist, "index.html"));
+		if (req.path === "/api" || req.path.startsWith("/api/")) {
+			return res.status(404).json({ error: "Not found" });
 		}
+		res.sendFile(path.join(clientDist, "index.html"));
 	});
 }
 
+// Errors the routes didn't handle: the client's own (a malformed JSON body) keep their 4xx,
+// anything else is logged and answered with a 500
+app.use((err, req, res, next) => {
+	const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+	if (status === 500) console.error(`[SERVER ERROR] ${req.method} ${req.path}:`, err.stack || err);
+	if (res.headersSent) return res.destroy(err);
+	res.status(status).json({ error: status === 500 ? "Server error" : err.message });
+});
+
 // Start server immediately (don't wait for indexing)
 app.listen(PORT, "0.0.0.0", () => {
 	console.log(`Server running on port ${PORT}`);
 	console.log(
-		`Indexing status: ${isIndexed ? "Complete" : "In Progress - check /api/status for progress"}`
+		`Indexing status: ${
+			isIndexed
+				? "Ready (syncing changes in background)"
+				: "In Progress - check /api/status for progress"
+		}`
 	);
 
-	// Start background indexing AFTER server is listening
-	if (!isIndexed) {
-		setImmediate(() => {
-			buildIndex().catch((err) => {
-				console.error("[INDEXING ERROR]", err);
-			});
+	// Start background indexing AFTER server is listening.
+	// An existing index stays searchable while new/changed/deleted files are synced.
+	setImmediate(() => {
+		runIndex().catch((err) => {
+			console.error("[INDEXING ERROR]", err);
 		});
-	}
+		if (process.env.WATCH_TRANSCRIPTS === "true") startWatcher();
+	});
+});
+
+// `kill -HUP <pid>` re-scans the transcript directories on demand
+process.on("SIGHUP", () => {
+	console.log("[INDEX] SIGHUP received, re-scanning transcripts...");
+	runIndex({ trigger: "signal" }).catch((err) => {
+		console.error("[INDEXING ERROR]", err);
+	});
 });
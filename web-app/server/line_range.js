@@ -0,0 +1,41 @@
+// Line ranges for /api/transcript, in the style of HTTP byte ranges but counting lines.
+// Lines are numbered from 0, the same `line` search hits and reader segments use.
+//
+//   lines=100-199       lines 100 to 199, inclusive
+//   lines=100-          line 100 to the end
+//   lines=-50           the last 50 lines
+//
+// Accepted as a `Range: lines=...` header or a `lines` query parameter.
+
+class LineRangeError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "LineRangeError";
+	}
+}
+
+/**
+ * The { start, end } (inclusive) that `spec` selects from a transcript of `total` lines, or
+ * null when it starts past the end. Throws LineRangeError on a malformed spec.
+ */
+function parseLineRange(spec, total) {
+	const match = /^(?:lines=)?(\d*)-(\d*)$/.exec(String(spec).trim());
+	if (!match || (match[1] === "" && match[2] === "")) {
+		throw new LineRangeError("Expected a line range like 100-199, 100- or -50");
+	}
+
+	if (match[1] === "") {
+		const count = Number(match[2]);
+		if (count === 0 || total === 0) return null;
+		return { start: Math.max(0, total - count), end: total - 1 };
+	}
+
+	const start = Number(match[1]);
+	if (match[2] !== "" && Number(match[2]) < start) {
+		throw new LineRangeError("Line range ends before it starts");
+	}
+	if (start >= total) return null;
+	return { start, end: match[2] === "" ? total - 1 : Math.min(Number(match[2]), total - 1) };
+}
+
+module.exports = { LineRangeError, parseLineRange };
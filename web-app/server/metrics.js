@@ -0,0 +1,68 @@
+// Request timings for /api/metrics: latency percentiles per route over the most recent
+// requests, cache hit rates, and the slowest requests since startup.
+const WINDOW = 1000;
+const SLOWEST = 10;
+
+const round = (ms) => Math.round(ms * 10) / 10;
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+	if (sorted.length === 0) return null;
+	return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function createMetrics({ targetMs = 200 } = {}) {
+	const routes = new Map();
+	let slowest = [];
+	const startedAt = new Date().toISOString();
+
+	return {
+		/**
+		 * One finished request. `timing` is { fts, enrich, total } in ms and `cache` is
+		 * "hit" or "miss".
+		 */
+		record(route, { url, status, cache, timing }) {
+			if (!routes.has(route)) {
+				routes.set(route, { requests: 0, errors: 0, cacheHits: 0, samples: [] });
+			}
+			const stats = routes.get(route);
+			stats.requests++;
+			if (status >= 400) stats.errors++;
+			if (cache === "hit") stats.cacheHits++;
+			stats.samples.push(timing.total);
+			if (stats.samples.length > WINDOW) stats.samples.shift();
+
+			if (cache === "miss" && status < 400) {
+				slowest.push({ route, url, status, ...timing, at: new Date().toISOString() });
+				slowest = slowest.sort((a, b) => b.total - a.total).slice(0, SLOWEST);
+			}
+		},
+
+		summary() {
+			const summary = { since: startedAt, targetMs, routes: {}, slowest };
+			for (const [route, stats] of routes) {
+				const sorted = [...stats.samples].sort((a, b) => a - b);
+				const withinTarget = sorted.filter((ms) => ms <= targetMs).length;
+				summary.routes[route] = {
+					requests: stats.requests,
+					errors: stats.errors,
+					cacheHitRate: ratio(stats.cacheHits, stats.requests),
+					// Over the last WINDOW requests
+					latencyMs: {
+						p50: percentile(sorted, 50),
+						p90: percentile(sorted, 90),
+						p95: percentile(sorted, 95),
+						p99: percentile(sorted, 99),
+						max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+					},
+					// Share of those answered within targetMs
+					withinTarget: ratio(withinTarget, sorted.length),
+				};
+			}
+			return summary;
+		},
+	};
+}
+
+module.exports = { createMetrics, round };
@@ -0,0 +1,130 @@
+// Per-show timestamp corrections. Many uploads have a different intro or cut commercials, so
+// the transcript's timestamps drift from the recording. A show's offsets are anchors
+// { at, offset }: from transcript time `at` (seconds) onwards, add `offset` seconds to get the
+// time in the recording. A single anchor at 0 shifts the whole show; more anchors correct it
+// piecewise, e.g. after each cut break.
+
+// Deep links start a little early so the hit isn't clipped
+const LEAD_IN_SECONDS = 5;
+
+// HH:MM:SS(.ms), MM:SS or a plain number of seconds
+function toSeconds(value) {
+	if (typeof value === "number") return value;
+	const text = String(value).trim();
+	if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+	if (!/^\d{1,2}(:\d{2}){1,2}(\.\d+)?$/.test(text)) return NaN;
+	return text
+		.split(":")
+		.map(Number)
+		.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Validate and normalize anchors from a request body. Accepts { offset } as shorthand for a
+ * single anchor at 0. Throws on malformed input.
+ */
+function parseAnchors(body) {
+	const raw =
+		body && body.anchors !== undefined
+			? body.anchors
+			: body && body.offset !== undefined
+			? [{ at: 0, offset: body.offset }]
+			: null;
+	if (!Array.isArray(raw) || raw.length === 0) {
+		throw new Error("Expected { offset } or a non-empty anchors array");
+	}
+
+	const anchors = raw.map((anchor, i) => {
+		const at = toSeconds(anchor && anchor.at !== undefined ? anchor.at : 0);
+		const offset = Number(anchor && anchor.offset);
+		if (!Number.isFinite(at) || at < 0) throw new Error(`anchors[${i}].at is not a valid time`);
+		if (!Number.isFinite(offset)) throw new Error(`anchors[${i}].offset must be a number`);
+		return { at, offset };
+	});
+	anchors.sort((a, b) => a.at - b.at);
+	for (let i = 1; i < anchors.length; i++) {
+		if (anchors[i].at === anchors[i - 1].at) {
+			throw new Error(`Duplicate anchor at ${anchors[i].at}s`);
+		}
+	}
+	return anchors;
+}
+
+// Recording time for a transcript time: the offset of the last anchor at or before it
+function videoSeconds(anchors, seconds) {
+	let offset = 0;
+	for (const anchor of anchors) {
+		if (anchor.at > seconds) break;
+		offset = anchor.offset;
+	}
+	return Math.max(0, seconds + offset);
+}
+
+function createShowOffsets(db) {
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS show_offsets (
+      date TEXT NOT NULL,
+      type TEXT NOT NULL DEFAULT 'show',
+      at REAL NOT NULL,
+      offset REAL NOT NULL,
+      PRIMARY KEY (date, type, at)
+    ) WITHOUT ROWID;
+  `);
+
+	const select = db.prepare(
+		"SELECT at, offset FROM show_offsets WHERE date = ? AND type = ? ORDER BY at"
+	);
+	const remove = db.prepare("DELETE FROM show_offsets WHERE date = ? AND type = ?");
+	const insert = db.prepare(
+		"INSERT INTO show_offsets (date, type, at, offset) VALUES (?, ?, ?, ?)"
+	);
+	const replace = db.transaction((date, type, anchors) => {
+		remove.run(date, type);
+		for (const { at, offset } of anchors) insert.run(date, type, at, offset);
+	});
+
+	return {
+		// Anchors for one show, empty when it needs no correction
+		get(date, type = "show") {
+			return select.all(date, type);
+		},
+
+		all() {
+			const shows = new Map();
+			const rows = db
+				.prepare("SELECT date, type, at, offset FROM show_offsets ORDER BY date, type, at")
+				.all();
+			for (const { date, type, at, offset } of rows) {
+				const key = `${type}:${date}`;
+				if (!shows.has(key)) shows.set(key, { date, type, anchors: [] });
+				shows.get(key).anchors.push({ at, offset });
+			}
+			return [...shows.values()];
+		},
+
+		// Replace a show's anchors. Throws on a malformed body.
+		set(date, type, body) {
+			const anchors = parseAnchors(body);
+			replace(date, type, anchors);
+			return anchors;
+		},
+
+		delete(date, type = "show") {
+			return remove.run(date, type).changes > 0;
+		},
+
+		/**
+		 * Link into `url` at transcript time `timestamp`, corrected by the show's anchors and
+		 * started LEAD_IN_SECONDS early. Null without a URL or a readable timestamp.
+		 */
+		deepLink(url, timestamp, anchors) {
+			const seconds = timestamp ? toSeconds(timestamp) : NaN;
+			if (!url || !Number.isFinite(seconds)) return null;
+			const seek = Math.max(0, Math.floor(videoSeconds(anchors, seconds)) - LEAD_IN_SECONDS);
+			const separator = url.includes("?") ? "&" : "?";
+			return `${url}${separator}t=${seek}s`;
+		},
+	};
+}
+
+module.exports = { createShowOffsets, videoSeconds, toSeconds };
@@ -0,0 +1,73 @@
+// Paging for /api/search.
+//
+//   limit=50            page size, 1 to MAX_PAGE_SIZE (default 100)
+//   cursor=<opaque>     the previous response's next_cursor
+//
+// A cursor is only valid for the search that produced it: it carries a fingerprint of the
+// parameters that decide the result list, and using it with any other search is an error
+// rather than a silently wrong page. `offset` is still accepted for older clients.
+const crypto = require("crypto");
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Everything that changes which results there are or their order
+const SEARCH_KEYS = ["q", "type", "group", "ranking", "years", "from", "to", "months", "weekdays"];
+
+class PaginationError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "PaginationError";
+	}
+}
+
+function searchFingerprint(query) {
+	const values = SEARCH_KEYS.map((key) => (query[key] === undefined ? null : String(query[key])));
+	return crypto.createHash("sha1").update(JSON.stringify(values)).digest("base64url").slice(0, 12);
+}
+
+// Cursor for the page starting at `offset` of the search in `query`
+function encodeCursor(offset, query) {
+	const payload = JSON.stringify({ o: offset, f: searchFingerprint(query) });
+	return Buffer.from(payload).toString("base64url");
+}
+
+/**
+ * The { offset, limit } a request asks for.
+ * Throws PaginationError on a bad limit or a cursor from a different search.
+ */
+function parsePage(query) {
+	let limit = DEFAULT_PAGE_SIZE;
+	if (query.limit !== undefined) {
+		limit = Number(query.limit);
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			throw new PaginationError(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+		}
+	}
+
+	if (query.cursor) {
+		let decoded = null;
+		try {
+			decoded = JSON.parse(Buffer.from(String(query.cursor), "base64url").toString("utf8"));
+		} catch (e) {
+			// Reported below
+		}
+		if (
+			!decoded ||
+			!Number.isInteger(decoded.o) ||
+			decoded.o < 0 ||
+			decoded.f !== searchFingerprint(query)
+		) {
+			throw new PaginationError("Invalid cursor, or a cursor from a different search");
+		}
+		return { offset: decoded.o, limit };
+	}
+
+	const offset = query.offset ? parseInt(query.offset) : 0;
+	if (!Number.isInteger(offset) || offset < 0) {
+		throw new PaginationError("offset must be a whole number");
+	}
+	return { offset, limit };
+}
+
+module.exports = { DEFAULT_PAGE_SIZE, PaginationError, parsePage, encodeCursor };
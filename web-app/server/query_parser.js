@@ -0,0 +1,365 @@
+// Search query language for /api/search.
+//
+//   suds                   word (porter stemmed, thesaurus expanded)
+//   sud*                   prefix
+//   "rick and suds"        exact phrase (never expanded)
+//   rick suds              both in the same segment
+//   rick AND suds          both somewhere in the same show
+//   rick OR suds           either
+//   dolphins NOT shula     first without the second
+//   rick NEAR/5 suds       within 5 words of each other (NEAR alone means 10)
+//   (rick OR suds) jorge   grouping
+//   year:1995 host:lassiter date:1999-01 host:"stan major"
+//
+// Operators are only recognized in upper case, so "rick and suds" is three words.
+// Field filters may only be combined with the rest of the query at the top level.
+
+const { prefixRange } = require("./date_filters");
+
+const FIELDS = ["year", "host", "date"];
+const DEFAULT_NEAR = 10;
+
+class QuerySyntaxError extends Error {
+	constructor(message, position) {
+		super(message);
+		this.name = "QuerySyntaxError";
+		this.position = position;
+	}
+}
+
+// Anything FTS5 would turn into at least one token
+const hasTokens = (text) => /[\p{L}\p{N}]/u.test(text);
+
+function tokenize(input) {
+	const tokens = [];
+	let i = 0;
+
+	const readPhrase = (start) => {
+		const end = input.indexOf('"', start + 1);
+		if (end === -1) throw new QuerySyntaxError("Unterminated quote", start);
+		return { text: input.slice(start + 1, end), end: end + 1 };
+	};
+
+	while (i < input.length) {
+		const char = input[i];
+
+		if (/\s/.test(char)) {
+			i++;
+		} else if (char === "(" || char === ")") {
+			tokens.push({ type: char, pos: i });
+			i++;
+		} else if (char === '"') {
+			const { text, end } = readPhrase(i);
+			const prefix = input[end] === "*";
+			tokens.push({ type: "phrase", text, prefix, pos: i });
+			i = prefix ? end + 1 : end;
+		} else {
+			const start = i;
+			while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+			const word = input.slice(start, i);
+
+			const field = word.match(/^([a-z]+):(.*)$/i);
+			if (field && FIELDS.includes(field[1].toLowerCase())) {
+				let value = field[2];
+				if (!value && input[i] === '"') {
+					const phrase = readPhrase(i);
+					value = phrase.text;
+					i = phrase.end;
+				}
+				tokens.push({
+					type: "field",
+					name: field[1].toLowerCase(),
+					value: value.trim(),
+					pos: start,
+				});
+				continue;
+			}
+
+			const near = word.match(/^NEAR(?:\/(\d+))?$/);
+			if (word === "AND" || word === "OR" || word === "NOT") {
+				tokens.push({ type: word, pos: start });
+			} else if (near) {
+				tokens.push({
+					type: "NEAR",
+					distance: near[1] ? parseInt(near[1]) : DEFAULT_NEAR,
+					pos: start,
+				});
+			} else if (word.endsWith("*")) {
+				const stem = word.replace(/\*+$/, "");
+				if (!hasTokens(stem))
+					throw new QuerySyntaxError("Prefix search needs letters before *", start);
+				tokens.push({ type: "prefix", text: stem, pos: start });
+			} else if (hasTokens(word)) {
+				// Lone punctuation like "&" would match nothing
+				tokens.push({ type: "term", text: word, pos: start });
+			}
+		}
+	}
+
+	return tokens;
+}
+
+// Recursive descent parser. Precedence follows FTS5: NEAR, then NOT, then AND, then OR.
+function parse(tokens, input) {
+	let pos = 0;
+	const peek = () => tokens[pos];
+	const next = () => tokens[pos++];
+	const at = () => (peek() ? peek().pos : input.length);
+
+	const startsOperand = (token) =>
+		token && ["(", "phrase", "term", "prefix", "field"].includes(token.type);
+
+	function parsePrimary() {
+		const token = next();
+		if (!token) throw new QuerySyntaxError("Query ends unexpectedly", input.length);
+
+		switch (token.type) {
+			case "(": {
+				const inner = parseOr();
+				if (!peek() || peek().type !== ")") {
+					throw new QuerySyntaxError("Missing closing parenthesis", at());
+				}
+				next();
+				return inner;
+			}
+			case "phrase":
+			case "term":
+			case "prefix":
+				return { type: token.type, text: token.text, prefix: !!token.prefix, pos: token.pos };
+			case "field":
+				return { type: "field", name: token.name, value: token.value, pos: token.pos };
+			case ")":
+				throw new QuerySyntaxError("Unexpected closing parenthesis", token.pos);
+			default:
+				throw new QuerySyntaxError(`${token.type} needs a search term before it`, token.pos);
+		}
+	}
+
+	function parseNear() {
+		let left = parsePrimary();
+		while (peek() && peek().type === "NEAR") {
+			const op = next();
+			const right = parsePrimary();
+			const operands =
+				left.type === "near" && left.distance === op.distance ? left.operands : [left];
+			for (const operand of [...operands, right]) {
+				if (!["term", "phrase", "prefix"].includes(operand.type)) {
+					throw new QuerySyntaxError("NEAR only works between words or phrases", op.pos);
+				}
+			}
+			left = { type: "near", distance: op.distance, operands: [...operands, right] };
+		}
+		return left;
+	}
+
+	function parseNot() {
+		let left = parseNear();
+		while (peek() && peek().type === "NOT") {
+			next();
+			left = { type: "not", left, right: parseNear() };
+		}
+		return left;
+	}
+
+	function parseAnd() {
+		const operands = [parseNot()];
+		const explicit = [];
+		while (peek() && (peek().type === "AND" || startsOperand(peek()))) {
+			if (peek().type === "AND") {
+				next();
+				explicit.push(true);
+			} else {
+				explicit.push(false);
+			}
+			operands.push(parseNot());
+		}
+		if (operands.length === 1) return operands[0];
+		return { type: "and", operands, explicit };
+	}
+
+	function parseOr() {
+		const operands = [parseAnd()];
+		while (peek() && peek().type === "OR") {
+			next();
+			operands.push(parseAnd());
+		}
+		return operands.length === 1 ? operands[0] : { type: "or", operands };
+	}
+
+	const ast = parseOr();
+	if (peek()) {
+		const token = peek();
+		throw new QuerySyntaxError(
+			token.type === ")" ? "Unexpected closing parenthesis" : `Unexpected ${token.type}`,
+			token.pos
+		);
+	}
+	return ast;
+}
+
+function validateField(node) {
+	if (!node.value) throw new QuerySyntaxError(`${node.name}: needs a value`, node.pos);
+	if (node.name === "year" && !/^\d{4}$/.test(node.value)) {
+		throw new QuerySyntaxError("year: expects a 4-digit year, e.g. year:1995", node.pos);
+	}
+	if (node.name === "date" && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(node.value)) {
+		throw new QuerySyntaxError("date: expects YYYY, YYYY-MM or YYYY-MM-DD", node.pos);
+	}
+}
+
+function assertNoFields(node) {
+	if (node.type === "field") {
+		throw new QuerySyntaxError(
+			`${node.name}: filters can only be combined with the rest of the query using AND`,
+			node.pos
+		);
+	}
+	for (const child of node.operands || []) assertNoFields(child);
+	if (node.left) assertNoFields(node.left);
+	if (node.right) assertNoFields(node.right);
+}
+
+const isVerbatimNode = (node) => {
+	if (node.type === "term" || node.type === "prefix") return false;
+	if (node.type === "phrase") return true;
+	if (node.left) return isVerbatimNode(node.left) && isVerbatimNode(node.right);
+	return node.operands.every(isVerbatimNode);
+};
+
+/**
+ * Parse a user query. Throws QuerySyntaxError with the 0-based position of the problem.
+ *
+ * Returns { groups, filters, verbatim }:
+ * - groups: the top-level parts joined by an explicit AND. Each must appear somewhere in the
+ *   show; segments matching any of them are returned. A query without AND has one group.
+ * - filters: { year: [], host: [], date: [] } from field filters.
+ * - verbatim: true when the query only contains exact phrases, so fuzzy fallback is skipped.
+ */
+function parseQuery(input) {
+	const text = (input || "").trim();
+	if (!text) throw new QuerySyntaxError("Empty query", 0);
+
+	const tokens = tokenize(text);
+	if (tokens.length === 0) throw new QuerySyntaxError("Query has no searchable words", 0);
+
+	const ast = parse(tokens, text);
+	const filters = { year: [], host: [], date: [] };
+
+	// Pull field filters off the top level, splitting the rest at explicit ANDs
+	const topOperands = ast.type === "and" ? ast.operands : [ast];
+	const explicit = ast.type === "and" ? ast.explicit : [];
+	const groups = [[]];
+
+	topOperands.forEach((node, i) => {
+		if (i > 0 && explicit[i - 1] && groups[groups.length - 1].length > 0) groups.push([]);
+		if (node.type === "field") {
+			validateField(node);
+			filters[node.name].push(node.value);
+		} else {
+			assertNoFields(node);
+			groups[groups.length - 1].push(node);
+		}
+	});
+
+	const nonEmpty = groups
+		.filter((g) => g.length > 0)
+		.map((g) => (g.length === 1 ? g[0] : { type: "and", operands: g, explicit: [] }));
+	if (nonEmpty.length === 0) {
+		throw new QuerySyntaxError("Add at least one search term next to the filters", 0);
+	}
+
+	return {
+		groups: nonEmpty,
+		filters,
+		verbatim: nonEmpty.every(isVerbatimNode),
+	};
+}
+
+const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+
+// Compile one node to an FTS5 MATCH expression. Every word is quoted, so user input can
+// never reach FTS5 as syntax. `expand(word)` returns thesaurus variants for bare words.
+// The trigram tokenizer has no prefix queries, but substring matching covers them anyway.
+// NEAR operands are never expanded, FTS5 only allows plain phrases inside NEAR().
+function toFts(node, { trigram = false, expand = () => null } = {}) {
+	const compile = (n) => toFts(n, { trigram, expand });
+	switch (node.type) {
+		case "term": {
+			const variants = expand(node.text.toLowerCase());
+			if (variants && variants.length > 1) return `(${variants.map(quote).join(" OR ")})`;
+			return quote(node.text);
+		}
+		case "prefix":
+		case "phrase":
+			return node.prefix || node.type === "prefix"
+				? trigram
+					? quote(node.text)
+					: `${quote(node.text)} *`
+				: quote(node.text);
+		case "near":
+			// Trigram positions count characters, not words, so NEAR distances are meaningless there
+			if (trigram) return `(${node.operands.map(compile).join(" AND ")})`;
+			return `NEAR(${node.operands.map((o) => toFts(o)).join(" ")}, ${node.distance})`;
+		case "not":
+			return `(${compile(node.left)} NOT ${compile(node.right)})`;
+		case "and":
+			return `(${node.operands.map(compile).join(" AND ")})`;
+		case "or":
+			return `(${node.operands.map(compile).join(" OR ")})`;
+		default:
+			throw new Error(`Unknown query node ${node.type}`);
+	}
+}
+
+/**
+ * Compile a parsed query for one FTS table.
+ * `match` finds the segments to return; `showScopes` (only with an explicit AND) are the
+ * expressions every returned show must also contain.
+ */
+function compileQuery(parsed, options = {}) {
+	const scopes = parsed.groups.map((g) => toFts(g, options));
+	return {
+		match: scopes.length === 1 ? scopes[0] : `(${scopes.join(" OR ")})`,
+		showScopes: scopes.length > 1 ? scopes : null,
+	};
+}
+
+/**
+ * SQL for the field filters. `columns` names the date, host and (optionally) file columns of
+ * the caller's query. Guest hosts are matched on show_links.host and, since shows like
+ * lassiter-19950311.txt have no CSV row, on the transcript file name too.
+ * Returns { sql, params } where sql is empty or starts with " AND ".
+ */
+function compileFilters(filters, columns = { date: "s.date", host: "l.host", file: "t.file" }) {
+	const clauses = [];
+	const params = [];
+
+	// year:1995 and date:1999-01 are date prefixes, compared as ranges so an index can be used
+	const ranges = [...filters.year, ...filters.date].map((prefix) =>
+		prefixRange(columns.date, prefix)
+	);
+	if (ranges.length > 0) {
+		clauses.push(`(${ranges.map((r) => r.sql).join(" OR ")})`);
+		ranges.forEach((r) => params.push(...r.params));
+	}
+	if (filters.host.length > 0) {
+		const hostClause = columns.file
+			? `(${columns.host} LIKE ? OR ${columns.file} LIKE ?)`
+			: `${columns.host} LIKE ?`;
+		clauses.push(`(${filters.host.map(() => hostClause).join(" OR ")})`);
+		filters.host.forEach((h) => {
+			params.push(`%${h}%`);
+			if (columns.file) params.push(`%${h}%`);
+		});
+	}
+
+	return { sql: clauses.map((c) => ` AND ${c}`).join(""), params };
+}
+
+module.exports = {
+	QuerySyntaxError,
+	parseQuery,
+	compileQuery,
+	compileFilters,
+	toFts,
+};
@@ -0,0 +1,282 @@
+// PNG quote cards for social previews of a clip, drawn without a canvas or image library:
+// text is set in a 5x7 pixel font on an indexed-color bitmap and encoded with zlib. The
+// blocky type and scanlines match the site's retro look.
+const zlib = require("zlib");
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MARGIN = 60;
+
+// Palette indices
+const BG = 0;
+const SCANLINE = 1;
+const ACCENT = 2;
+const TEXT = 3;
+const DIM = 4;
+const BORDER = 5;
+const PALETTE = [
+	[0x12, 0x12, 0x12],
+	[0x0c, 0x0c, 0x0c],
+	[0xff, 0xb0, 0x00],
+	[0xe0, 0xe0, 0xe0],
+	[0xa0, 0xa0, 0xa0],
+	[0x5a, 0x40, 0x00],
+];
+
+// Classic 5x7 LCD font for ASCII 32-126: five column bytes per glyph, bit 0 the top row
+const FONT = [
+	[0x00, 0x00, 0x00, 0x00, 0x00], // space
+	[0x00, 0x00, 0x5f, 0x00, 0x00], // !
+	[0x00, 0x07, 0x00, 0x07, 0x00], // "
+	[0x14, 0x7f, 0x14, 0x7f, 0x14], // #
+	[0x24, 0x2a, 0x7f, 0x2a, 0x12], // $
+	[0x23, 0x13, 0x08, 0x64, 0x62], // %
+	[0x36, 0x49, 0x55, 0x22, 0x50], // &
+	[0x00, 0x05, 0x03, 0x00, 0x00], // '
+	[0x00, 0x1c, 0x22, 0x41, 0x00], // (
+	[0x00, 0x41, 0x22, 0x1c, 0x00], // )
+	[0x08, 0x2a, 0x1c, 0x2a, 0x08], // *
+	[0x08, 0x08, 0x3e, 0x08, 0x08], // +
+	[0x00, 0x50, 0x30, 0x00, 0x00], // ,
+	[0x08, 0x08, 0x08, 0x08, 0x08], // -
+	[0x00, 0x60, 0x60, 0x00, 0x00], // .
+	[0x20, 0x10, 0x08, 0x04, 0x02], // /
+	[0x3e, 0x51, 0x49, 0x45, 0x3e], // 0
+	[0x00, 0x42, 0x7f, 0x40, 0x00], // 1
+	[0x42, 0x61, 0x51, 0x49, 0x46], // 2
+	[0x21, 0x41, 0x45, 0x4b, 0x31], // 3
+	[0x18, 0x14, 0x12, 0x7f, 0x10], // 4
+	[0x27, 0x45, 0x45, 0x45, 0x39], // 5
+	[0x3c, 0x4a, 0x49, 0x49, 0x30], // 6
+	[0x01, 0x71, 0x09, 0x05, 0x03], // 7
+	[0x36, 0x49, 0x49, 0x49, 0x36], // 8
+	[0x06, 0x49, 0x49, 0x29, 0x1e], // 9
+	[0x00, 0x36, 0x36, 0x00, 0x00], // :
+	[0x00, 0x56, 0x36, 0x00, 0x00], // ;
+	[0x08, 0x14, 0x22, 0x41, 0x00], // <
+	[0x14, 0x14, 0x14, 0x14, 0x14], // =
+	[0x00, 0x41, 0x22, 0x14, 0x08], // >
+	[0x02, 0x01, 0x51, 0x09, 0x06], // ?
+	[0x32, 0x49, 0x79, 0x41, 0x3e], // @
+	[0x7e, 0x11, 0x11, 0x11, 0x7e], // A
+	[0x7f, 0x49, 0x49, 0x49, 0x36], // B
+	[0x3e, 0x41, 0x41, 0x41, 0x22], // C
+	[0x7f, 0x41, 0x41, 0x22, 0x1c], // D
+	[0x7f, 0x49, 0x49, 0x49, 0x41], // E
+	[0x7f, 0x09, 0x09, 0x09, 0x01], // F
+	[0x3e, 0x41, 0x49, 0x49, 0x7a], // G
+	[0x7f, 0x08, 0x08, 0x08, 0x7f], // H
+	[0x00, 0x41, 0x7f, 0x41, 0x00], // I
+	[0x20, 0x40, 0x41, 0x3f, 0x01], // J
+	[0x7f, 0x08, 0x14, 0x22, 0x41], // K
+	[0x7f, 0x40, 0x40, 0x40, 0x40], // L
+	[0x7f, 0x02, 0x0c, 0x02, 0x7f], // M
+	[0x7f, 0x04, 0x08, 0x10, 0x7f], // N
+	[0x3e, 0x41, 0x41, 0x41, 0x3e], // O
+	[0x7f, 0x09, 0x09, 0x09, 0x06], // P
+	[0x3e, 0x41, 0x51, 0x21, 0x5e], // Q
+	[0x7f, 0x09, 0x19, 0x29, 0x46], // R
+	[0x46, 0x49, 0x49, 0x49, 0x31], // S
+	[0x01, 0x01, 0x7f, 0x01, 0x01], // T
+	[0x3f, 0x40, 0x40, 0x40, 0x3f], // U
+	[0x1f, 0x20, 0x40, 0x20, 0x1f], // V
+	[0x3f, 0x40, 0x38, 0x40, 0x3f], // W
+	[0x63, 0x14, 0x08, 0x14, 0x63], // X
+	[0x07, 0x08, 0x70, 0x08, 0x07], // Y
+	[0x61, 0x51, 0x49, 0x45, 0x43], // Z
+	[0x00, 0x7f, 0x41, 0x41, 0x00], // [
+	[0x02, 0x04, 0x08, 0x10, 0x20], // backslash
+	[0x00, 0x41, 0x41, 0x7f, 0x00], // ]
+	[0x04, 0x02, 0x01, 0x02, 0x04], // ^
+	[0x40, 0x40, 0x40, 0x40, 0x40], // _
+	[0x00, 0x01, 0x02, 0x04, 0x00], // `
+	[0x20, 0x54, 0x54, 0x54, 0x78], // a
+	[0x7f, 0x48, 0x44, 0x44, 0x38], // b
+	[0x38, 0x44, 0x44, 0x44, 0x20], // c
+	[0x38, 0x44, 0x44, 0x48, 0x7f], // d
+	[0x38, 0x54, 0x54, 0x54, 0x18], // e
+	[0x08, 0x7e, 0x09, 0x01, 0x02], // f
+	[0x0c, 0x52, 0x52, 0x52, 0x3e], // g
+	[0x7f, 0x08, 0x04, 0x04, 0x78], // h
+	[0x00, 0x44, 0x7d, 0x40, 0x00], // i
+	[0x20, 0x40, 0x44, 0x3d, 0x00], // j
+	[0x7f, 0x10, 0x28, 0x44, 0x00], // k
+	[0x00, 0x41, 0x7f, 0x40, 0x00], // l
+	[0x7c, 0x04, 0x18, 0x04, 0x78], // m
+	[0x7c, 0x08, 0x04, 0x04, 0x78], // n
+	[0x38, 0x44, 0x44, 0x44, 0x38], // o
+	[0x7c, 0x14, 0x14, 0x14, 0x08], // p
+	[0x08, 0x14, 0x14, 0x18, 0x7c], // q
+	[0x7c, 0x08, 0x04, 0x04, 0x08], // r
+	[0x48, 0x54, 0x54, 0x54, 0x20], // s
+	[0x04, 0x3f, 0x44, 0x40, 0x20], // t
+	[0x3c, 0x40, 0x40, 0x20, 0x7c], // u
+	[0x1c, 0x20, 0x40, 0x20, 0x1c], // v
+	[0x3c, 0x40, 0x30, 0x40, 0x3c], // w
+	[0x44, 0x28, 0x10, 0x28, 0x44], // x
+	[0x0c, 0x50, 0x50, 0x50, 0x3c], // y
+	[0x44, 0x64, 0x54, 0x4c, 0x44], // z
+	[0x00, 0x08, 0x36, 0x41, 0x00], // {
+	[0x00, 0x00, 0x7f, 0x00, 0x00], // |
+	[0x00, 0x41, 0x36, 0x08, 0x00], // }
+	[0x08, 0x04, 0x08, 0x10, 0x08], // ~
+];
+
+// Glyphs are 5x7 pixels in a 6x9 cell, drawn `scale` times as large
+const glyphWidth = (scale) => 6 * scale;
+const lineHeight = (scale) => 10 * scale;
+
+// The font only has printable ASCII: typographic punctuation is folded to its plain
+// equivalent, accents are dropped and anything else becomes "?"
+function toAscii(text) {
+	return String(text)
+		.replace(/[\u2018\u2019\u201a\u2032]/g, "'")
+		.replace(/[\u201c\u201d\u201e\u2033]/g, '"')
+		.replace(/[\u2013\u2014\u2212\u00b7]/g, "-")
+		.replace(/\u2026/g, "...")
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.replace(/\s+/g, " ")
+		.replace(/[^\x20-\x7e]/g, "?")
+		.trim();
+}
+
+/**
+ * `text` broken into lines of at most `width` characters, on spaces where possible. With
+ * more than `maxLines`, the last line kept ends in "...".
+ */
+function wrapText(text, width, maxLines) {
+	const lines = [];
+	let current = "";
+	for (let word of text.split(" ")) {
+		while (word.length > width) {
+			if (current) lines.push(current);
+			lines.push(word.slice(0, width));
+			word = word.slice(width);
+			current = "";
+		}
+		if (!current) current = word;
+		else if (current.length + 1 + word.length <= width) current += ` ${word}`;
+		else {
+			lines.push(current);
+			current = word;
+		}
+	}
+	if (current) lines.push(current);
+
+	if (lines.length <= maxLines) return lines;
+	const kept = lines.slice(0, maxLines);
+	const last = kept[maxLines - 1];
+	kept[maxLines - 1] = `${last.length + 3 > width ? last.slice(0, width - 3).trimEnd() : last}...`;
+	return kept;
+}
+
+function createBitmap() {
+	const pixels = new Uint8Array(WIDTH * HEIGHT).fill(BG);
+	// Every other pair of rows a shade darker, like the site's scanline overlay
+	for (let y = 0; y < HEIGHT; y++) {
+		if (y % 4 >= 2) pixels.fill(SCANLINE, y * WIDTH, (y + 1) * WIDTH);
+	}
+
+	const rect = (x, y, w, h, color) => {
+		for (let row = Math.max(0, y); row < Math.min(HEIGHT, y + h); row++) {
+			pixels.fill(color, row * WIDTH + Math.max(0, x), row * WIDTH + Math.min(WIDTH, x + w));
+		}
+	};
+
+	const text = (x, y, string, scale, color) => {
+		for (let i = 0; i < string.length; i++) {
+			const code = string.charCodeAt(i);
+			const glyph = (code >= 32 && code <= 126 ? code : 63) - 32;
+			for (let col = 0; col < 5; col++) {
+				const bits = FONT[glyph][col];
+				for (let row = 0; row < 7; row++) {
+					if (bits & (1 << row)) {
+						rect(x + i * glyphWidth(scale) + col * scale, y + row * scale, scale, scale, color);
+					}
+				}
+			}
+		}
+	};
+
+	return { pixels, rect, text };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+function crc32(buffer) {
+	let crc = 0xffffffff;
+	for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(body));
+	return Buffer.concat([length, body, crc]);
+}
+
+// An 8-bit indexed-color PNG of `pixels`
+function encodePng(pixels, width, height, palette) {
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header[8] = 8; // Bit depth
+	header[9] = 3; // Indexed color
+
+	// Each row starts with its filter type, 0 for none
+	const raw = Buffer.alloc((width + 1) * height);
+	for (let y = 0; y < height; y++) {
+		raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+	}
+
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		pngChunk("IHDR", header),
+		pngChunk("PLTE", Buffer.from(palette.flat())),
+		pngChunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+		pngChunk("IEND", Buffer.alloc(0)),
+	]);
+}
+
+/**
+ * A 1200x630 PNG (the Open Graph size) quoting `quote`, under the site name and `title`,
+ * with `footer` (the clip's time range) at the bottom. Long quotes are set smaller, then cut
+ * off with "...".
+ */
+function renderQuoteCard({ title, quote, footer }) {
+	const card = createBitmap();
+
+	// Frame, and a bar down the left of the quote like the reader's highlighted segments
+	card.rect(24, 24, WIDTH - 48, 3, BORDER);
+	card.rect(24, HEIGHT - 27, WIDTH - 48, 3, BORDER);
+	card.rect(24, 24, 3, HEIGHT - 48, BORDER);
+	card.rect(WIDTH - 27, 24, 3, HEIGHT - 48, BORDER);
+
+	const columns = (scale) => Math.floor((WIDTH - 2 * MARGIN + scale) / glyphWidth(scale));
+	card.text(MARGIN, 56, "THE NEIL ROGERS ARCHIVE", 4, ACCENT);
+	card.text(MARGIN, 110, wrapText(toAscii(title).toUpperCase(), columns(3), 1)[0] || "", 3, DIM);
+
+	// The largest size that fits the whole quote, down to 3
+	const text = `"${toAscii(quote)}"`;
+	const area = 370;
+	const maxLines = (scale) => Math.floor(area / lineHeight(scale));
+	let scale = 6;
+	while (scale > 3 && wrapText(text, columns(scale), Infinity).length > maxLines(scale)) scale--;
+	const lines = wrapText(text, columns(scale), maxLines(scale));
+	lines.forEach((line, i) => card.text(MARGIN, 165 + i * lineHeight(scale), line, scale, TEXT));
+	card.rect(MARGIN - 20, 160, 6, lines.length * lineHeight(scale) - 3 * scale + 10, ACCENT);
+
+	if (footer) card.text(MARGIN, HEIGHT - 80, toAscii(footer), 3, ACCENT);
+
+	return encodePng(card.pixels, WIDTH, HEIGHT, PALETTE);
+}
+
+module.exports = { renderQuoteCard, toAscii, wrapText };
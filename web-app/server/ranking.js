@@ -0,0 +1,116 @@
+// Blended ranking for /api/search?ranking=blend.
+//
+// Porter hits are exact matches (modulo stemming and the thesaurus). Trigram hits are
+// substrings, so "sudds" also finds "suds" and "elian" finds "reliance". Both lists are merged
+// and scored by bm25 (relative to the best hit of the same index, since the two indexes score
+// on different scales) weighted by how close the segment's words are to the query words.
+
+const wordsOf = (text) => (text || "").toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+function levenshtein(a, b) {
+	if (a === b) return 0;
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+// 1 for an identical word, falling towards 0 as edits are needed
+function wordSimilarity(term, word, prefix) {
+	const target = prefix ? word.slice(0, term.length) : word;
+	return 1 - levenshtein(term, target) / Math.max(term.length, target.length);
+}
+
+/**
+ * How closely `text` matches a parsed query node, from 0 to 1.
+ * Every word must be present for AND, NEAR and phrases (so their scores are averaged), OR
+ * takes its best alternative and the excluded side of NOT is ignored.
+ * `matched` collects the closest word found for each query word, for highlighting.
+ */
+function nodeSimilarity(node, words, expand, matched) {
+	const closest = (term, prefix, variants) => {
+		let best = { similarity: 0, word: null };
+		for (const variant of variants) {
+			for (const word of words) {
+				const similarity = wordSimilarity(variant, word, prefix);
+				if (similarity > best.similarity) best = { similarity, word };
+			}
+		}
+		// Below half the letters right it's more likely a coincidental substring than a misspelling
+		if (best.similarity >= 0.5) matched.add(best.word);
+		return best.similarity;
+	};
+	const average = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+
+	switch (node.type) {
+		case "term": {
+			const term = node.text.toLowerCase();
+			return closest(term, false, expand(term) || [term]);
+		}
+		case "prefix":
+		case "phrase": {
+			const terms = wordsOf(node.text);
+			const prefix = node.type === "prefix" || node.prefix;
+			return average(
+				terms.map((term, i) => closest(term, prefix && i === terms.length - 1, [term]))
+			);
+		}
+		case "near":
+		case "and":
+			return average(node.operands.map((n) => nodeSimilarity(n, words, expand, matched)));
+		case "or":
+			return Math.max(...node.operands.map((n) => nodeSimilarity(n, words, expand, matched)));
+		case "not":
+			return nodeSimilarity(node.left, words, expand, matched);
+		default:
+			return 0;
+	}
+}
+
+/**
+ * Merge porter (`exact`) and trigram (`fuzzy`) segment rows, each carrying its `bm25`.
+ * A segment found by both indexes counts as exact. Returns the best `limit` rows of the merged
+ * list, each labelled with `match` ("exact" or "fuzzy") and its blended `score`.
+ */
+function blendResults(exact, fuzzy, parsed, { expand = () => null, limit = 100 } = {}) {
+	const bestOf = (rows) => rows.reduce((best, r) => Math.min(best, r.bm25), -Number.EPSILON);
+	const bestExact = bestOf(exact);
+	const bestFuzzy = bestOf(fuzzy);
+
+	const merged = new Map();
+	for (const { bm25, ...row } of exact) {
+		const relevance = bm25 / bestExact;
+		merged.set(row.id, { ...row, match: "exact", score: 0.5 + 0.5 * relevance });
+	}
+	for (const { bm25, ...row } of fuzzy) {
+		if (merged.has(row.id)) continue;
+		const words = wordsOf(row.text_content);
+		const matched = new Set();
+		const similarity = Math.max(
+			...parsed.groups.map((g) => nodeSimilarity(g, words, expand, matched))
+		);
+		const relevance = bm25 / bestFuzzy;
+		merged.set(row.id, {
+			...row,
+			match: "fuzzy",
+			matched_words: [...matched],
+			score: similarity * (0.5 + 0.5 * relevance),
+		});
+	}
+
+	return [...merged.values()]
+		.sort((a, b) => b.score - a.score || (a.date || "").localeCompare(b.date || ""))
+		.slice(0, limit)
+		.map((row) => ({ ...row, score: Math.round(row.score * 10000) / 10000 }));
+}
+
+module.exports = { blendResults, levenshtein };
@@ -0,0 +1,49 @@
+// LRU of JSON response bodies for /api/search and /api/shows. Everything in it was computed
+// from the index, the show links, the thesaurus and the offsets, so it is cleared whenever any
+// of those change. clear() also bumps the generation, so a response computed before the clear
+// but finishing after it isn't stored.
+const DEFAULT_MAX_ENTRIES = 200;
+
+function createResponseCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+	const entries = new Map(); // key -> body, least recently used first
+	let generation = 0;
+	let hits = 0;
+	let misses = 0;
+
+	return {
+		generation() {
+			return generation;
+		},
+
+		get(key) {
+			const body = entries.get(key);
+			if (body === undefined) {
+				misses++;
+				return undefined;
+			}
+			hits++;
+			entries.delete(key);
+			entries.set(key, body);
+			return body;
+		},
+
+		// `fromGeneration` is generation() when the response was started
+		set(key, body, fromGeneration) {
+			if (fromGeneration !== generation) return;
+			entries.delete(key);
+			entries.set(key, body);
+			while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+		},
+
+		clear() {
+			entries.clear();
+			generation++;
+		},
+
+		stats() {
+			return { entries: entries.size, maxEntries, generation, hits, misses };
+		},
+	};
+}
+
+module.exports = { createResponseCache };
@@ -0,0 +1,91 @@
+// Nicknames and common mis-transcriptions. Every term in a group expands to the whole group,
+// both for the porter and trigram searches and for highlighting in the client.
+const DEFAULT_GROUPS = {
+	jorge: ["jorge", "george"],
+	suds: ["suds", "sudds"],
+	mandich: ["mandich", "mandick"],
+	hendrie: ["hendrie", "hendry"],
+	reineri: ["reineri", "rinieri", "reinieri"],
+};
+
+const normalizeTerm = (term) => String(term).toLowerCase().trim().replace(/\s+/g, " ");
+
+function createThesaurus(db) {
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS thesaurus (
+      term TEXT PRIMARY KEY,
+      group_name TEXT NOT NULL
+    );
+  `);
+
+	// Seed once, so deleting every group through the admin API sticks across restarts
+	const seeded = db.prepare("SELECT value FROM metadata WHERE key = 'thesaurus_seeded'").get();
+	if (!seeded) {
+		db.transaction(() => {
+			const insert = db.prepare("INSERT OR IGNORE INTO thesaurus (term, group_name) VALUES (?, ?)");
+			for (const [name, terms] of Object.entries(DEFAULT_GROUPS)) {
+				for (const term of terms) insert.run(term, name);
+			}
+			db.prepare(
+				"INSERT OR REPLACE INTO metadata (key, value) VALUES ('thesaurus_seeded', 'true')"
+			).run();
+		})();
+	}
+
+	let byTerm = new Map();
+	let groups = {};
+
+	const reload = () => {
+		groups = {};
+		for (const row of db.prepare("SELECT term, group_name FROM thesaurus ORDER BY term").all()) {
+			(groups[row.group_name] = groups[row.group_name] || []).push(row.term);
+		}
+		byTerm = new Map();
+		for (const terms of Object.values(groups)) {
+			for (const term of terms) byTerm.set(term, terms);
+		}
+	};
+	reload();
+
+	const replaceGroup = db.transaction((name, terms) => {
+		db.prepare("DELETE FROM thesaurus WHERE group_name = ?").run(name);
+		// A term can only live in one group, so moving it here takes it out of its old one
+		const insert = db.prepare("INSERT OR REPLACE INTO thesaurus (term, group_name) VALUES (?, ?)");
+		for (const term of terms) insert.run(term, name);
+	});
+
+	return {
+		// Variants of a bare search word, or undefined when it has none
+		expand(word) {
+			return byTerm.get(normalizeTerm(word).replace(/[^\w ]/g, ""));
+		},
+
+		groups() {
+			return groups;
+		},
+
+		/**
+		 * Create or replace a group. Returns the normalized terms.
+		 * Throws on fewer than two distinct terms, since a group of one expands to nothing.
+		 */
+		setGroup(name, terms) {
+			const groupName = normalizeTerm(name);
+			const clean = [...new Set((terms || []).map(normalizeTerm).filter(Boolean))];
+			if (!groupName) throw new Error("Group name is required");
+			if (clean.length < 2) throw new Error("A group needs at least two distinct terms");
+			replaceGroup(groupName, clean);
+			reload();
+			return clean;
+		},
+
+		deleteGroup(name) {
+			const info = db
+				.prepare("DELETE FROM thesaurus WHERE group_name = ?")
+				.run(normalizeTerm(name));
+			reload();
+			return info.changes > 0;
+		},
+	};
+}
+
+module.exports = { createThesaurus };
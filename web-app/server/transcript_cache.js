@@ -0,0 +1,66 @@
+const fs = require("fs");
+
+// Transcripts read for snippets and the reader, kept split into lines. Up to `maxFiles` are
+// kept, least recently used out first. Every use checks the file's mtime and size, so an
+// edited transcript is re-read without waiting for a reindex. `transform` rewrites a file's
+// content as it is read; forget() the file when its transform would change.
+const DEFAULT_MAX_FILES = 200;
+
+function createTranscriptCache({
+	maxFiles = DEFAULT_MAX_FILES,
+	transform = (fullPath, content) => content,
+} = {}) {
+	const entries = new Map(); // full path -> { mtimeMs, size, content, lines }, oldest first
+	const pending = new Map(); // full path -> promise, so hits from one show read it once
+	let hits = 0;
+	let misses = 0;
+
+	const touch = (fullPath, entry) => {
+		entries.delete(fullPath);
+		entries.set(fullPath, entry);
+	};
+
+	const load = async (fullPath) => {
+		const stat = await fs.promises.stat(fullPath);
+		const cached = entries.get(fullPath);
+		if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+			hits++;
+			touch(fullPath, cached);
+			return cached;
+		}
+
+		misses++;
+		const content = transform(fullPath, await fs.promises.readFile(fullPath, "utf-8"));
+		const entry = { mtimeMs: stat.mtimeMs, size: stat.size, content, lines: content.split("\n") };
+		touch(fullPath, entry);
+		while (entries.size > maxFiles) entries.delete(entries.keys().next().value);
+		return entry;
+	};
+
+	return {
+		// { content, lines } of a transcript. Rejects when the file can't be read.
+		read(fullPath) {
+			if (!pending.has(fullPath)) {
+				pending.set(
+					fullPath,
+					load(fullPath).finally(() => pending.delete(fullPath))
+				);
+			}
+			return pending.get(fullPath);
+		},
+
+		forget(fullPath) {
+			entries.delete(fullPath);
+		},
+
+		clear() {
+			entries.clear();
+		},
+
+		stats() {
+			return { files: entries.size, maxFiles, hits, misses };
+		},
+	};
+}
+
+module.exports = { createTranscriptCache };
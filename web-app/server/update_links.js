@@ -1,74 +1,39 @@
-const Database = require('better-sqlite3');
-const fs = require('fs');
-const path = require('path');
-
-const db = new Database('transcripts.db');
-
-db.exec(`DROP TABLE IF EXISTS show_links`);
-// 1. Create show_links table
-db.exec(`
-    CREATE TABLE IF NOT EXISTS show_links (
-        date TEXT PRIMARY KEY,
-        youtube_url TEXT,
-        host TEXT,
-        custom_title TEXT
-    );
-`);
-console.log("Ensured show_links table exists.");
-
-// 2. Parse CSV
-const csvData = fs.readFileSync('nrs_shows.csv', 'utf8');
-const lines = csvData.split(/\r?\n/);
-
-console.log(`Processing ${lines.length - 1} rows...`);
-
-const insertStmt = db.prepare('INSERT OR REPLACE INTO show_links (date, youtube_url, host, custom_title) VALUES (?, ?, ?, ?)');
-
-let count = 0;
-function parseLine(line) {
-    const parts = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') {
-            if (inQuotes && line[i+1] === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            parts.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    parts.push(current);
-    return parts;
+// Re-sync show_links from nrs_shows.csv.
+//
+//   node update_links.js [--dry-run] [path/to/nrs_shows.csv]
+//
+// Uses the same DATA_DIR/transcripts.db as index.js. A running server keeps answering from its
+// response cache until it restarts, so while it is up use POST /api/admin/import-csv instead.
+const Database = require("better-sqlite3");
+const path = require("path");
+const { SHOWS_CSV, importShowLinks } = require("./csv_import");
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, "../../");
+const DB_PATH = path.resolve(DATA_DIR, "transcripts.db");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const csvFile = path.resolve(args.find((a) => !a.startsWith("--")) || SHOWS_CSV);
+
+const db = new Database(DB_PATH);
+
+console.log(`${dryRun ? "Validating" : "Importing"} ${csvFile} into ${DB_PATH}...`);
+const report = importShowLinks(db, { csvFile, dryRun });
+
+for (const row of report.rejected) {
+	console.log(`  line ${row.line}: REJECTED ${row.reason}`);
+}
+for (const row of report.warnings) {
+	console.log(`  line ${row.line}: warning ${row.reason}`);
 }
 
-const transaction = db.transaction((rows) => {
-    for (const row of rows) {
-        if (row.length < 3) continue;
-        const [date, init, youtube, notes, info, host, custom_title] = row;
-        // Clean fields
-        const cleanDate = date.replace(/"/g, '').trim();
-        const cleanYoutube = (youtube || '').replace(/"/g, '').trim();
-        const cleanHost = (host || '').replace(/"/g, '').trim();
-        const cleanCustomTitle = (custom_title || '').replace(/"/g, '').trim();
-        
-        // We now allow shows even if init isn't "NRS" as long as they have a date and youtube link
-        if (cleanDate && cleanYoutube && cleanYoutube.startsWith('http')) {
-            insertStmt.run(cleanDate, cleanYoutube, cleanHost, cleanCustomTitle);
-            count++;
-        }
-    }
-});
-
-const rowsToUpdate = lines.slice(1).map(line => parseLine(line));
-transaction(rowsToUpdate);
-
-console.log(`Stored ${count} YouTube links in show_links table.`);
+console.log(
+	`${dryRun ? "Would store" : "Stored"} ${report.imported} links in show_links, ${report.rejectedCount} rows rejected.`
+);
+if (!dryRun) {
+	console.log(
+		"If the server is running, restart it: its cached responses still have the old links. " +
+			"POST /api/admin/import-csv re-syncs a running server and clears its cache."
+	);
+}
 db.close();
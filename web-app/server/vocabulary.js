@@ -0,0 +1,171 @@
+// Corpus vocabulary for "did you mean" suggestions.
+//
+// transcripts_fts stores porter stems ("suds" is indexed as "sud"), which are no good for
+// showing a corrected spelling. transcripts_vocab indexes the same segments, under the same
+// rowids, with the plain unicode61 tokenizer. It is contentless, so it only costs the index
+// itself. After each index run its fts5vocab view is copied into the `vocabulary` table,
+// which can be range-scanned by term.
+const { levenshtein } = require("./ranking");
+
+// A correction is only offered for a word that exists when it is this many times more common
+const RARER_BY = 10;
+const MAX_SUGGESTIONS = 3;
+
+function createVocabularyTables(db) {
+	db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS transcripts_vocab USING fts5(
+      text_content, content='', contentless_delete=1, tokenize="unicode61"
+    );
+  `);
+
+	db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS transcripts_vocab_terms USING fts5vocab(
+      transcripts_vocab, row
+    );
+  `);
+
+	// docs = segments containing the term, hits = total occurrences
+	db.exec(`
+    CREATE TABLE IF NOT EXISTS vocabulary (
+      term TEXT PRIMARY KEY,
+      docs INTEGER,
+      hits INTEGER
+    ) WITHOUT ROWID;
+  `);
+}
+
+// Re-materialize `vocabulary` from the index, or only the given `terms` when a few files
+// changed (copying the whole view blocks for as long as it takes to read every term).
+// Single letters and bare numbers are left out.
+function refreshVocabulary(db, terms) {
+	const copy = `
+      INSERT INTO vocabulary (term, docs, hits)
+      SELECT term, doc, cnt FROM transcripts_vocab_terms
+      WHERE length(term) > 1 AND term GLOB '*[^0-9]*'
+    `;
+	db.transaction(() => {
+		if (!terms) {
+			db.exec("DELETE FROM vocabulary");
+			db.exec(copy);
+			return;
+		}
+		const remove = db.prepare("DELETE FROM vocabulary WHERE term = ?");
+		const add = db.prepare(`${copy} AND term = ?`);
+		for (const term of terms) {
+			remove.run(term);
+			add.run(term);
+		}
+	})();
+}
+
+// Add the terms the unicode61 tokenizer makes of `text` to the `terms` set: lowercased, split
+// on anything but letters and numbers and with diacritics folded. Both the folded and the
+// plain form are added, a term that isn't in the index is just removed from `vocabulary`.
+function addVocabularyTerms(terms, text) {
+	for (const word of text.toLowerCase().match(/[\p{L}\p{N}\p{Co}]+/gu) || []) {
+		terms.add(word);
+		terms.add(word.normalize("NFD").replace(/\p{M}/gu, ""));
+	}
+	return terms;
+}
+
+// The words of a query worth correcting, with their position in the query text.
+// Prefixes are partial on purpose and excluded words don't affect the results much.
+function correctableWords(node, words = []) {
+	const add = (text, offset) => {
+		for (const m of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+			if (m[0].length > 1 && /\p{L}/u.test(m[0])) words.push({ text: m[0], pos: offset + m.index });
+		}
+	};
+
+	switch (node.type) {
+		case "term":
+			add(node.text, node.pos);
+			break;
+		case "phrase":
+			if (!node.prefix) add(node.text, node.pos + 1);
+			break;
+		case "not":
+			correctableWords(node.left, words);
+			break;
+		case "near":
+		case "and":
+		case "or":
+			node.operands.forEach((n) => correctableWords(n, words));
+			break;
+	}
+	return words;
+}
+
+// Keep the user's capitalization style: suds, Suds or SUDS
+function matchCase(original, word) {
+	if (original === original.toUpperCase() && original.length > 1) return word.toUpperCase();
+	if (original[0] === original[0].toUpperCase()) return word[0].toUpperCase() + word.slice(1);
+	return word;
+}
+
+/**
+ * Spelling corrections for a parsed query, ranked best first.
+ * Each is { query, corrections: [{ word, correction, hits }] } where `query` is the corrected
+ * query text and `hits` the number of segments containing the corrected word.
+ */
+function suggestCorrections(db, parsed, query) {
+	const text = query.trim();
+	const lookup = db.prepare("SELECT docs FROM vocabulary WHERE term = ?");
+	// Misspellings almost always keep the first letter, which keeps this a short range scan
+	const neighbours = db.prepare(`
+    SELECT term, docs FROM vocabulary
+    WHERE term >= ? AND term < ? AND length(term) BETWEEN ? AND ?
+  `);
+
+	const fixes = [];
+	for (const word of parsed.groups.flatMap((g) => correctableWords(g))) {
+		const lower = word.text.toLowerCase();
+		const known = lookup.get(lower);
+		const maxDistance = lower.length <= 4 ? 1 : 2;
+		const first = lower[0];
+		const next = String.fromCodePoint(first.codePointAt(0) + 1);
+
+		const candidates = neighbours
+			.all(first, next, lower.length - maxDistance, lower.length + maxDistance)
+			.filter((c) => c.term !== lower && (!known || c.docs >= known.docs * RARER_BY))
+			.map((c) => ({ ...c, distance: levenshtein(lower, c.term) }))
+			.filter((c) => c.distance <= maxDistance)
+			.sort((a, b) => a.distance - b.distance || b.docs - a.docs)
+			.slice(0, MAX_SUGGESTIONS);
+
+		if (candidates.length > 0) fixes.push({ word, candidates });
+	}
+	if (fixes.length === 0) return [];
+	fixes.sort((a, b) => a.word.pos - b.word.pos);
+
+	// The best candidate for every word first, then the runners-up one word at a time
+	const choices = [fixes.map(() => 0)];
+	fixes.forEach((fix, i) => {
+		for (let c = 1; c < fix.candidates.length; c++) {
+			choices.push(fixes.map((_, j) => (j === i ? c : 0)));
+		}
+	});
+
+	return choices.slice(0, MAX_SUGGESTIONS).map((choice) => {
+		let corrected = text;
+		const corrections = [];
+		// Replace from the end so earlier positions stay valid
+		for (let i = fixes.length - 1; i >= 0; i--) {
+			const { word, candidates } = fixes[i];
+			const candidate = candidates[choice[i]];
+			const replacement = matchCase(word.text, candidate.term);
+			corrected =
+				corrected.slice(0, word.pos) + replacement + corrected.slice(word.pos + word.text.length);
+			corrections.unshift({ word: word.text, correction: replacement, hits: candidate.docs });
+		}
+		return { query: corrected, corrections };
+	});
+}
+
+module.exports = {
+	createVocabularyTables,
+	refreshVocabulary,
+	addVocabularyTerms,
+	suggestCorrections,
+};